@@ -0,0 +1,101 @@
+// analysis/frames.js
+// Keyframe extraction for visual analysis: the opening seconds (where the
+// hook lives) are sampled densely, the rest of the video more sparsely.
+const path = require('path');
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+
+const HOOK_WINDOW_SECONDS = 3;
+const HOOK_FRAME_INTERVAL = parseFloat(process.env.HOOK_FRAME_INTERVAL || '0.5');
+const FRAME_SAMPLE_INTERVAL = parseFloat(process.env.FRAME_SAMPLE_INTERVAL || '3');
+const MAX_FRAMES = parseInt(process.env.MAX_FRAMES || '16');
+const FRAME_WIDTH = 512;
+
+function framesDirFor(videoPath) {
+  return `${videoPath}-frames`;
+}
+
+function probeDuration(videoPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(videoPath, (err, data) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(parseFloat(data.format?.duration) || 0);
+      }
+    });
+  });
+}
+
+// Timestamps (seconds) to grab: every HOOK_FRAME_INTERVAL inside the hook
+// window, then every FRAME_SAMPLE_INTERVAL, capped at MAX_FRAMES
+function planFrameTimes(duration) {
+  const times = [];
+  const hookEnd = Math.min(HOOK_WINDOW_SECONDS, duration);
+
+  for (let t = 0; t < hookEnd; t += HOOK_FRAME_INTERVAL) {
+    times.push(t);
+  }
+
+  const remaining = [];
+  for (let t = HOOK_WINDOW_SECONDS; t < duration; t += FRAME_SAMPLE_INTERVAL) {
+    remaining.push(t);
+  }
+
+  // Spread the leftover budget evenly across the rest of the video
+  const budget = Math.max(0, MAX_FRAMES - times.length);
+  const step = remaining.length > budget ? remaining.length / budget : 1;
+  for (let i = 0; i < remaining.length && times.length < MAX_FRAMES; i += step) {
+    times.push(remaining[Math.floor(i)]);
+  }
+
+  return times.map(t => Math.round(t * 10) / 10);
+}
+
+function grabFrame(videoPath, time, outputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(videoPath)
+      .seekInput(time)
+      .frames(1)
+      .size(`${FRAME_WIDTH}x?`)
+      .output(outputPath)
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+}
+
+// Resolves to [{ index, time, path, mimeType }] in playback order. Pass the
+// duration if it is already known to skip probing the file again.
+async function extractKeyframes(videoPath, knownDuration) {
+  const duration = knownDuration || await probeDuration(videoPath);
+  const framesDir = framesDirFor(videoPath);
+  fs.mkdirSync(framesDir, { recursive: true });
+
+  const frames = [];
+  for (const time of planFrameTimes(duration)) {
+    const framePath = path.join(framesDir, `frame-${frames.length + 1}.jpg`);
+    await grabFrame(videoPath, time, framePath);
+
+    // Seeking past the last decodable frame produces no file; skip it
+    if (fs.existsSync(framePath)) {
+      frames.push({ index: frames.length + 1, time, path: framePath, mimeType: 'image/jpeg' });
+    }
+  }
+
+  return frames;
+}
+
+function cleanupFrames(videoPath) {
+  const framesDir = framesDirFor(videoPath);
+  if (fs.existsSync(framesDir)) {
+    fs.rmSync(framesDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  HOOK_WINDOW_SECONDS,
+  planFrameTimes,
+  extractKeyframes,
+  cleanupFrames
+};
@@ -0,0 +1,122 @@
+// analysis/hook.js
+// Timestamp-based breakdown of the transcript: what happens in the opening
+// hook window, and a per-line timeline flagging where attention is likely
+// lost and which lines are candidates to cut.
+const { HOOK_WINDOW_SECONDS } = require('./frames');
+
+// Gaps between lines longer than this read as dead air
+const PAUSE_SECONDS = 1.0;
+// Below this many words per second a line drags
+const SLOW_WORDS_PER_SECOND = 1.8;
+// Hooks that take this long to say anything lose people
+const LATE_START_SECONDS = 1.0;
+
+const FILLER_WORDS = ['um', 'uh', 'erm', 'like', 'basically', 'literally', 'actually', 'so yeah', 'you know'];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function countWords(text) {
+  return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+function findFillers(text) {
+  const lower = ` ${(text || '').toLowerCase().replace(/[^\w\s']/g, ' ')} `;
+  return FILLER_WORDS.filter(filler => lower.includes(` ${filler} `));
+}
+
+// Text spoken inside [0, windowSeconds): word timestamps when we have them,
+// otherwise whole segments that start inside the window
+function spokenInWindow(transcription, windowSeconds) {
+  const words = transcription.words || [];
+  if (words.length) {
+    return words.filter(word => word.start < windowSeconds).map(word => word.word).join(' ').trim();
+  }
+
+  return (transcription.segments || [])
+    .filter(segment => segment.start < windowSeconds)
+    .map(segment => segment.text)
+    .join(' ')
+    .trim();
+}
+
+function analyzeHookWindow(transcription, { frames = [], metrics = {} } = {}) {
+  const windowSeconds = HOOK_WINDOW_SECONDS;
+  const text = spokenInWindow(transcription, windowSeconds);
+  const wordCount = countWords(text);
+
+  const timedItems = (transcription.words && transcription.words.length)
+    ? transcription.words
+    : (transcription.segments || []);
+  const firstSpeechAt = timedItems.length ? round(timedItems[0].start) : null;
+
+  const issues = [];
+  if (firstSpeechAt === null || firstSpeechAt >= windowSeconds) {
+    issues.push(`Nothing is said in the first ${windowSeconds} seconds`);
+  } else if (firstSpeechAt >= LATE_START_SECONDS) {
+    issues.push(`Speech starts ${firstSpeechAt}s in; open on the first word`);
+  }
+  if (wordCount && wordCount / windowSeconds < SLOW_WORDS_PER_SECOND) {
+    issues.push(`Only ${wordCount} words in the opening ${windowSeconds} seconds`);
+  }
+  const fillers = findFillers(text);
+  if (fillers.length) {
+    issues.push(`Opens with filler: ${fillers.join(', ')}`);
+  }
+  if (typeof metrics.silenceAtStart === 'number' && metrics.silenceAtStart >= LATE_START_SECONDS) {
+    issues.push(`${metrics.silenceAtStart}s of silence before any sound`);
+  }
+
+  return {
+    windowSeconds,
+    text,
+    wordCount,
+    wordsPerSecond: round(wordCount / windowSeconds),
+    firstSpeechAt,
+    frames: frames.filter(frame => frame.time < windowSeconds).map(frame => ({ index: frame.index, time: frame.time })),
+    issues
+  };
+}
+
+// One entry per transcript segment with an attention-risk rating
+function buildAttentionTimeline(transcription) {
+  const segments = transcription.segments || [];
+
+  return segments.map((segment, i) => {
+    const reasons = [];
+    const seconds = segment.end - segment.start;
+    const words = countWords(segment.text);
+
+    const gapBefore = i === 0 ? segment.start : segment.start - segments[i - 1].end;
+    if (gapBefore >= PAUSE_SECONDS) {
+      reasons.push(`${round(gapBefore)}s pause before this line`);
+    }
+    if (seconds > 0 && words / seconds < SLOW_WORDS_PER_SECOND) {
+      reasons.push(`Slow delivery (${round(words / seconds)} words/s)`);
+    }
+    const fillers = findFillers(segment.text);
+    if (fillers.length) {
+      reasons.push(`Filler: ${fillers.join(', ')}`);
+    }
+
+    let risk = 'low';
+    if (reasons.length === 1) risk = 'medium';
+    if (reasons.length > 1 || (segment.start < HOOK_WINDOW_SECONDS && reasons.length)) risk = 'high';
+
+    return {
+      start: round(segment.start),
+      end: round(segment.end),
+      text: segment.text,
+      risk,
+      reasons,
+      // Padding lines (slow or filler-heavy, and not the opening line) are the ones to cut
+      suggestCut: i > 0 && risk === 'high'
+    };
+  });
+}
+
+module.exports = {
+  analyzeHookWindow,
+  buildAttentionTimeline
+};
@@ -0,0 +1,118 @@
+// analysis/jobQueue.js
+// In-process analysis job queue backed by the jobs table. Jobs run one at a
+// time; anything left unfinished by a restart is re-queued on startup.
+const crypto = require('crypto');
+const fs = require('fs');
+const db = require('../database');
+const { STAGE_PROGRESS, runAnalysisPipeline, cleanupJobFiles } = require('./pipeline');
+const { refundAnalysisEntitlement } = require('../middleware/entitlements');
+
+// A job that keeps dying mid-run (e.g. crashing the process) is failed after this many starts
+const MAX_ATTEMPTS = parseInt(process.env.ANALYSIS_MAX_ATTEMPTS || '3');
+
+const pending = [];
+let running = false;
+
+// Create a job for an uploaded file and queue it. entitlement records what
+// the analysis was paid with ('pro', 'free' or 'credit') so a failure can refund it;
+// workspaceId shares the report with that workspace (and its credit pool paid).
+async function enqueueAnalysis({ userId, workspaceId, file, caption, entitlement, creditTransactionId }) {
+  const jobId = crypto.randomUUID();
+
+  await db.createJob({
+    id: jobId,
+    userId: userId || null,
+    workspaceId: workspaceId || null,
+    filePath: file.path,
+    fileName: file.originalname,
+    fileSize: file.size,
+    mimeType: file.mimetype,
+    caption: caption || '',
+    entitlement: entitlement || null
+  });
+
+  if (creditTransactionId) {
+    await db.linkCreditTransaction(creditTransactionId, { jobId });
+  }
+
+  pending.push(jobId);
+  setImmediate(processQueue);
+  return jobId;
+}
+
+async function processQueue() {
+  if (running) return;
+  running = true;
+
+  try {
+    while (pending.length > 0) {
+      await runJob(pending.shift());
+    }
+  } finally {
+    running = false;
+  }
+}
+
+async function runJob(jobId) {
+  const job = await db.getJobById(jobId);
+  if (!job || job.stage === 'done' || job.stage === 'failed') return;
+
+  if (job.attempts >= MAX_ATTEMPTS) {
+    await failJob(job, 'Analysis was interrupted too many times');
+    return;
+  }
+
+  await db.startJobAttempt(jobId);
+  console.log(`🎬 Running analysis job ${jobId} (attempt ${job.attempts + 1})`);
+
+  try {
+    const result = await runAnalysisPipeline(job, (stage, progress) =>
+      db.updateJobProgress(jobId, stage, progress)
+    );
+
+    await db.completeJob(jobId, result, result.reportId || null);
+    cleanupJobFiles(job.file_path);
+    console.log(`✅ Analysis job ${jobId} done`);
+  } catch (error) {
+    console.error(`❌ Analysis job ${jobId} failed:`, error);
+    await failJob(job, 'Analysis failed.');
+  }
+}
+
+async function failJob(job, message) {
+  await db.failJob(job.id, message);
+  cleanupJobFiles(job.file_path);
+
+  if (job.user_id && job.entitlement) {
+    try {
+      await refundAnalysisEntitlement(job.user_id, job.entitlement, job.id, job.workspace_id);
+    } catch (error) {
+      console.error(`❌ Failed to refund ${job.entitlement} for job ${job.id}:`, error);
+    }
+  }
+}
+
+// Re-queue jobs that were in flight when the server last stopped
+async function resumeUnfinishedJobs() {
+  const jobs = await db.getUnfinishedJobs();
+
+  for (const job of jobs) {
+    if (!job.file_path || !fs.existsSync(job.file_path)) {
+      await failJob(job, 'Upload was lost while the server restarted. Please upload again.');
+      continue;
+    }
+
+    await db.updateJobProgress(job.id, 'queued', STAGE_PROGRESS.queued);
+    pending.push(job.id);
+  }
+
+  if (jobs.length > 0) {
+    console.log(`🔁 Resuming ${pending.length} unfinished analysis job(s)`);
+    setImmediate(processQueue);
+  }
+}
+
+module.exports = {
+  enqueueAnalysis,
+  resumeUnfinishedJobs
+};
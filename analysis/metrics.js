@@ -0,0 +1,140 @@
+// analysis/metrics.js
+// Hard numbers measured locally from the upload with ffprobe/ffmpeg, returned
+// alongside the model's opinions and fed into the scoring prompt.
+const ffmpeg = require('fluent-ffmpeg');
+
+// Scene change score (0-1) above which a frame counts as a cut
+const SCENE_CUT_THRESHOLD = parseFloat(process.env.SCENE_CUT_THRESHOLD || '0.4');
+// Anything quieter than this, for at least SILENCE_MIN_SECONDS, is silence
+const SILENCE_NOISE_DB = process.env.SILENCE_NOISE_DB || '-35dB';
+const SILENCE_MIN_SECONDS = 0.2;
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function probe(videoPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(videoPath, (err, data) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(data);
+      }
+    });
+  });
+}
+
+// Parse "30000/1001" style rates
+function parseRate(rate) {
+  if (!rate) return null;
+  const [num, den] = rate.split('/').map(Number);
+  return den ? round(num / den) : (num || null);
+}
+
+function describeVideoStream(data) {
+  const stream = (data.streams || []).find(s => s.codec_type === 'video');
+  if (!stream) return {};
+
+  // Phones record landscape pixels with a rotation flag, so swap for 90/270
+  const rotation = Math.abs(parseInt(stream.tags?.rotate || stream.side_data_list?.[0]?.rotation || 0)) % 180;
+  const width = rotation === 90 ? stream.height : stream.width;
+  const height = rotation === 90 ? stream.width : stream.height;
+
+  let orientation = 'square';
+  if (height > width) orientation = 'vertical';
+  if (width > height) orientation = 'horizontal';
+
+  return {
+    width,
+    height,
+    aspectRatio: width && height ? round(width / height, 3) : null,
+    orientation,
+    frameRate: parseRate(stream.avg_frame_rate) || parseRate(stream.r_frame_rate)
+  };
+}
+
+// Run ffmpeg with a filter and collect its stderr log, discarding the output
+function runFilter(videoPath, configure) {
+  return new Promise((resolve, reject) => {
+    const lines = [];
+    const command = ffmpeg(videoPath);
+    configure(command);
+
+    command
+      .outputOptions(['-f', 'null'])
+      .output('-')
+      .on('stderr', line => lines.push(line))
+      .on('end', () => resolve(lines))
+      .on('error', reject)
+      .run();
+  });
+}
+
+async function countSceneCuts(videoPath) {
+  const lines = await runFilter(videoPath, command =>
+    command.noAudio().videoFilters(`select='gt(scene,${SCENE_CUT_THRESHOLD})',showinfo`)
+  );
+  return lines.filter(line => line.includes('Parsed_showinfo') && line.includes('pts_time:')).length;
+}
+
+// Leading silence (seconds) and integrated loudness (LUFS) in one audio pass
+async function measureAudio(videoPath) {
+  const lines = await runFilter(videoPath, command =>
+    command.noVideo().audioFilters([
+      `silencedetect=noise=${SILENCE_NOISE_DB}:d=${SILENCE_MIN_SECONDS}`,
+      'ebur128'
+    ])
+  );
+
+  let silenceAtStart = 0;
+  const firstStart = lines.find(line => line.includes('silence_start:'));
+  if (firstStart && parseFloat(firstStart.split('silence_start:')[1]) <= 0.05) {
+    const firstEnd = lines.find(line => line.includes('silence_end:'));
+    // No silence_end means the whole clip is silent
+    silenceAtStart = firstEnd ? parseFloat(firstEnd.split('silence_end:')[1]) : null;
+  }
+
+  // ebur128 prints a summary whose "I:" line is the integrated loudness
+  const loudnessLine = [...lines].reverse().find(line => /^\s*I:\s+-?[\d.]+ LUFS/.test(line));
+  const loudnessLufs = loudnessLine ? parseFloat(loudnessLine.split('I:')[1]) : null;
+
+  return { silenceAtStart: silenceAtStart === null ? null : round(silenceAtStart), loudnessLufs };
+}
+
+// Measurements that only need the video file
+async function measureMedia(videoPath) {
+  const data = await probe(videoPath);
+  const duration = parseFloat(data.format?.duration) || null;
+  const hasAudio = (data.streams || []).some(s => s.codec_type === 'audio');
+
+  const sceneCuts = await countSceneCuts(videoPath);
+  const audio = hasAudio ? await measureAudio(videoPath) : { silenceAtStart: null, loudnessLufs: null };
+
+  return {
+    duration: duration && round(duration),
+    ...describeVideoStream(data),
+    sceneCuts,
+    cutsPerSecond: duration ? round(sceneCuts / duration, 3) : null,
+    ...audio
+  };
+}
+
+// Words per minute across the spoken part of the transcript
+function speechRate(transcription, duration) {
+  const words = (transcription.text || '').split(/\s+/).filter(Boolean).length;
+  const segments = transcription.segments || [];
+
+  const spokenSeconds = segments.length
+    ? segments[segments.length - 1].end - segments[0].start
+    : duration;
+
+  if (!words || !spokenSeconds) return null;
+  return Math.round(words / (spokenSeconds / 60));
+}
+
+module.exports = {
+  measureMedia,
+  speechRate
+};
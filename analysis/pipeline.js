@@ -0,0 +1,148 @@
+// analysis/pipeline.js
+// Runs a single uploaded video through extraction, transcription and scoring.
+const path = require('path');
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+const db = require('../database');
+const { transcribe } = require('../transcription');
+const { scoreVideo } = require('../scoring');
+const { extractKeyframes, cleanupFrames } = require('./frames');
+const { measureMedia, speechRate } = require('./metrics');
+const { analyzeHookWindow, buildAttentionTimeline } = require('./hook');
+const { recordUsage } = require('../middleware/usage');
+
+// Stage progress percentages reported to pollers
+const STAGE_PROGRESS = {
+  queued: 0,
+  extracting: 10,
+  transcribing: 35,
+  scoring: 70,
+  done: 100
+};
+
+function audioPathFor(videoPath) {
+  return path.join(path.dirname(videoPath), `${path.basename(videoPath)}.mp3`);
+}
+
+// Remove the uploaded video, extracted audio and keyframes for a job
+function cleanupJobFiles(videoPath) {
+  if (!videoPath) return;
+
+  for (const file of [videoPath, audioPathFor(videoPath)]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+  cleanupFrames(videoPath);
+}
+
+// job: row from the jobs table; onStage(stage, progress) is called as work advances
+async function runAnalysisPipeline(job, onStage) {
+  const caption = job.caption || '';
+  const videoPath = job.file_path;
+  const audioPath = audioPathFor(videoPath);
+
+  // Convert video to audio
+  await onStage('extracting', STAGE_PROGRESS.extracting);
+  await new Promise((resolve, reject) => {
+    ffmpeg(videoPath)
+      .output(audioPath)
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+
+  // Measured media metrics are best-effort; a failure just leaves them out
+  let metrics = {};
+  try {
+    metrics = await measureMedia(videoPath);
+  } catch (err) {
+    console.warn(`⚠️ Media metrics failed for job ${job.id}:`, err.message);
+  }
+
+  // Keyframes for visual scoring. Analysis still works from audio alone if
+  // this fails, so a bad frame grab doesn't sink the whole job.
+  let frames = [];
+  if (process.env.ANALYSIS_FRAMES !== 'off') {
+    try {
+      frames = await extractKeyframes(videoPath, metrics.duration);
+    } catch (err) {
+      console.warn(`⚠️ Keyframe extraction failed for job ${job.id}, scoring without frames:`, err.message);
+    }
+  }
+
+  // Transcribe
+  await onStage('transcribing', STAGE_PROGRESS.transcribing);
+  const transcription = await transcribe(audioPath);
+  const transcript = transcription.text;
+  metrics.wordsPerMinute = speechRate(transcription, metrics.duration || transcription.duration);
+
+  // Meter the minutes sent for transcription and scoring, once per job even if it is retried
+  const durationSeconds = metrics.duration || transcription.duration || 0;
+  await recordUsage(job.user_id, 'analysis_minutes', durationSeconds / 60, {
+    workspaceId: job.workspace_id,
+    reference: `job:${job.id}`
+  });
+
+  // Opening-seconds breakdown and per-line attention timeline
+  const hook = analyzeHookWindow(transcription, { frames, metrics });
+  const timeline = buildAttentionTimeline(transcription);
+
+  // LLM scoring
+  await onStage('scoring', STAGE_PROGRESS.scoring);
+  const analysis = await scoreVideo({
+    transcript,
+    caption,
+    meta: { fileName: job.file_name },
+    metrics,
+    hook,
+    frames
+  });
+  analysis.metrics = metrics;
+  analysis.transcript = transcription;
+  analysis.hook = hook;
+  analysis.timeline = timeline;
+
+  // Persist the report so history follows the account across devices. A job
+  // re-run after a crash that had already saved its report keeps that one.
+  if (job.user_id && job.report_id) {
+    analysis.reportId = job.report_id;
+  } else if (job.user_id) {
+    // Fallback cards are placeholders, so they don't count towards the overall score
+    const scores = Object.values(analysis.feedback)
+      .filter(card => !card.fallback)
+      .map(card => card.score)
+      .filter(score => typeof score === 'number');
+    const overallScore = scores.length
+      ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length)
+      : 0;
+
+    analysis.reportId = await db.createJobReport(job.id, job.user_id, {
+      workspaceId: job.workspace_id,
+      title: job.file_name || 'Untitled Video',
+      fileName: job.file_name,
+      fileSize: job.file_size,
+      mimeType: job.mime_type,
+      caption,
+      transcript,
+      feedback: analysis.feedback,
+      overallScore,
+      metrics,
+      transcriptSegments: { segments: transcription.segments, words: transcription.words },
+      hook,
+      timeline
+    });
+  }
+
+  if (job.user_id && job.entitlement === 'credit') {
+    await db.linkJobCreditToReport(job.id, analysis.reportId);
+  }
+
+  return analysis;
+}
+
+module.exports = {
+  STAGE_PROGRESS,
+  runAnalysisPipeline,
+  cleanupJobFiles
+};
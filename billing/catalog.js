@@ -0,0 +1,109 @@
+// billing/catalog.js
+// Everything we sell, in one place. Checkout, webhook fulfilment, the upgrade
+// hint and the pricing page (via GET /api/plans) all read from here. Stripe
+// price ids come from the environment so test and live keys can differ.
+// commission is the affiliate's base rate on each sale (see billing/commissions.js);
+// recurringMonths limits subscription commissions to that many months from
+// the subscription start.
+
+const PRODUCTS = [
+  {
+    id: '2reports',
+    name: '2-Report Pack',
+    mode: 'payment',
+    priceEnv: 'STRIPE_PRICE_2REPORTS',
+    credits: 2,
+    entitlements: { reportCredits: 2 },
+    commission: { rate: parseFloat(process.env.COMMISSION_RATE_2REPORTS || '0.4') },
+    display: {
+      amount: 199,
+      currency: 'gbp',
+      priceLabel: '£1.99',
+      interval: 'one-time',
+      features: ['2 detailed reports', '6 comprehensive gauges', 'Full analysis results', 'Downloadable reports'],
+      cta: 'Get Started',
+      featured: false
+    }
+  },
+  {
+    id: 'pro',
+    name: 'Creator+ Plan',
+    mode: 'subscription',
+    priceEnv: 'STRIPE_PRICE_PRO',
+    credits: 0,
+    trialDays: parseInt(process.env.PRO_TRIAL_DAYS || '0'),
+    entitlements: { plan: 'pro', unlimitedAnalyses: true },
+    commission: {
+      rate: parseFloat(process.env.COMMISSION_RATE_PRO || '0.4'),
+      recurringMonths: parseInt(process.env.COMMISSION_RECURRING_MONTHS_PRO || '3')
+    },
+    display: {
+      amount: 499,
+      currency: 'gbp',
+      priceLabel: '£4.99',
+      interval: 'month',
+      features: ['Unlimited video analysis', 'Full CopyBoss access', 'Community Hub access', 'Priority support'],
+      cta: 'Start Free Trial',
+      featured: true
+    }
+  },
+  {
+    id: '15reports',
+    name: '15-Report Bundle',
+    mode: 'payment',
+    priceEnv: 'STRIPE_PRICE_15REPORTS',
+    credits: 15,
+    entitlements: { reportCredits: 15 },
+    commission: { rate: parseFloat(process.env.COMMISSION_RATE_15REPORTS || '0.4') },
+    display: {
+      amount: 999,
+      currency: 'gbp',
+      priceLabel: '£9.99',
+      interval: 'one-time',
+      features: ['15 comprehensive reports', 'Same premium features', '6 gauges per report', 'Downloadable reports'],
+      cta: 'Get Bundle',
+      featured: false
+    }
+  }
+];
+
+function getProduct(productId) {
+  return PRODUCTS.find(product => product.id === productId) || null;
+}
+
+// The Stripe price id for a product, or null if it is not configured
+function getPriceId(product) {
+  return process.env[product.priceEnv] || null;
+}
+
+function getProductByPriceId(priceId) {
+  return PRODUCTS.find(product => getPriceId(product) === priceId) || null;
+}
+
+function listProducts() {
+  return PRODUCTS;
+}
+
+// What the pricing page and other clients get to see
+function toPublicProduct(product) {
+  return {
+    id: product.id,
+    name: product.name,
+    mode: product.mode,
+    credits: product.credits,
+    trialDays: product.trialDays || 0,
+    entitlements: product.entitlements,
+    // false when the Stripe price id is not configured, so checkout would be refused
+    available: Boolean(getPriceId(product)),
+    ...product.display
+  };
+}
+
+module.exports = {
+  PRODUCTS,
+  getProduct,
+  getPriceId,
+  getProductByPriceId,
+  listProducts,
+  toPublicProduct
+};
@@ -0,0 +1,264 @@
+// billing/commissions.js
+// Affiliate commission rules. The base rate comes from the product in the
+// catalog, and affiliates with more paying referrals move up a tier that adds
+// a bonus on top. An admin override for the affiliate (for one product or all
+// of them) replaces both. Subscription commissions are only earned on invoices
+// inside the product's recurring window, counted from the subscription's start.
+// The rule that was applied is stored on every commission row.
+//
+// New commissions are held (pending) until the refund window plus a safety
+// margin has passed, so a refunded purchase is reversed before it is ever paid.
+// After that they are approved automatically, or by an admin when
+// COMMISSION_AUTO_APPROVE=false, and only approved commissions are paid out.
+const stripe = require('./stripeClient');
+const db = require('../database');
+const { getProduct, getProductByPriceId, listProducts } = require('./catalog');
+
+// For sales that can't be tied to a catalog product
+const DEFAULT_COMMISSION = { rate: parseFloat(process.env.COMMISSION_RATE_DEFAULT || '0.4') };
+
+// How long customers can ask for a refund, and how long commissions are held beyond that
+const REFUND_WINDOW_DAYS = parseInt(process.env.REFUND_WINDOW_DAYS || '14');
+const COMMISSION_HOLD_DAYS = REFUND_WINDOW_DAYS + parseInt(process.env.COMMISSION_HOLD_DAYS || '30');
+
+const COMMISSION_AUTO_APPROVE = process.env.COMMISSION_AUTO_APPROVE !== 'false';
+
+// Volume tiers by paying referrals; bonusRate is added to the product's rate
+const COMMISSION_TIERS = [
+  { name: 'standard', minReferrals: 0, bonusRate: 0 },
+  { name: 'partner', minReferrals: 10, bonusRate: 0.05 },
+  { name: 'elite', minReferrals: 50, bonusRate: 0.1 }
+];
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function roundRate(rate) {
+  return Math.round(rate * 10000) / 10000;
+}
+
+function stripeId(value) {
+  return value && typeof value === 'object' ? value.id : value;
+}
+
+function getCommissionTier(payingReferrals) {
+  return COMMISSION_TIERS.filter(tier => payingReferrals >= tier.minReferrals).pop();
+}
+
+// The rule for an affiliate's sale of a product (null for an unknown product).
+// recurringMonths of 0 or null means subscription invoices earn commission
+// for as long as the subscription lasts.
+async function resolveCommissionRule(affiliateId, productId) {
+  const product = getProduct(productId);
+  const base = (product && product.commission) || DEFAULT_COMMISSION;
+  const rule = {
+    productId: product ? product.id : null,
+    baseRate: base.rate,
+    recurringMonths: base.recurringMonths || null
+  };
+
+  const overrides = await db.getCommissionOverrides(affiliateId);
+  const override = overrides.find(o => product && o.product_id === product.id) ||
+    overrides.find(o => !o.product_id);
+  if (override) {
+    return {
+      ...rule,
+      source: 'override',
+      overrideId: override.id,
+      rate: roundRate(parseFloat(override.rate)),
+      recurringMonths: override.recurring_months === null ? rule.recurringMonths : override.recurring_months
+    };
+  }
+
+  const payingReferrals = await db.countPayingReferrals(affiliateId);
+  const tier = getCommissionTier(payingReferrals);
+  return {
+    ...rule,
+    source: tier.bonusRate > 0 ? 'tier' : 'product',
+    tier: tier.name,
+    payingReferrals,
+    rate: roundRate(Math.min(1, base.rate + tier.bonusRate))
+  };
+}
+
+// Whether an invoice dated invoiceDate is inside the rule's recurring window
+function isWithinRecurringWindow(rule, subscriptionStart, invoiceDate) {
+  if (!rule.recurringMonths) return true;
+
+  const windowEnd = new Date(subscriptionStart);
+  windowEnd.setUTCMonth(windowEnd.getUTCMonth() + rule.recurringMonths);
+  return invoiceDate < windowEnd;
+}
+
+// Apply the affiliate's rule to a purchase (in pounds) and store the commission.
+// Resolves to { commissionId, commissionAmount, rule }.
+async function recordCommission({ affiliateId, referredUserId, productId, purchaseAmount, paymentIntentId, rule }) {
+  rule = rule || await resolveCommissionRule(affiliateId, productId);
+  const commissionAmount = roundMoney(purchaseAmount * rule.rate);
+
+  const commissionId = await db.createCommission(
+    affiliateId,
+    referredUserId,
+    purchaseAmount,
+    commissionAmount,
+    paymentIntentId,
+    rule,
+    COMMISSION_HOLD_DAYS
+  );
+
+  return { commissionId, commissionAmount, rule };
+}
+
+// Give commissions from before holds existed the hold new ones get, counted
+// from when they were recorded, so they aren't approved or paid straight away
+async function holdLegacyCommissions() {
+  const held = await db.holdLegacyCommissions(COMMISSION_HOLD_DAYS);
+  if (held > 0) {
+    console.log(`⏳ Held ${held} older commissions until ${COMMISSION_HOLD_DAYS} days after they were recorded`);
+  }
+  return held;
+}
+
+// Move commissions whose hold has passed to approved, unless an admin reviews
+// every commission. Resolves to how many were approved.
+async function approveDueCommissions() {
+  await holdLegacyCommissions();
+  if (!COMMISSION_AUTO_APPROVE) return 0;
+
+  const approved = await db.approveDueCommissions();
+  if (approved > 0) {
+    console.log(`✅ Approved ${approved} commissions past their ${COMMISSION_HOLD_DAYS}-day hold`);
+  }
+  return approved;
+}
+
+// Whether this payment already earned a commission, e.g. on a replayed event
+async function hasCommissionForPayment(paymentIntentId) {
+  if (!paymentIntentId) return false;
+  const existing = await db.getCommissionsByPaymentIntent(stripeId(paymentIntentId));
+  return existing.length > 0;
+}
+
+// Process affiliate commission for one-time purchases. Errors propagate so the
+// webhook event is marked failed and can be replayed.
+async function processAffiliateCommission(session, user) {
+  const userId = user.id;
+
+  if (!user.referrer_id) {
+    console.log('No referral found for user:', userId);
+    return;
+  }
+
+  // Commission is on what was actually paid, i.e. after any promo discount
+  const purchaseAmount = session.amount_total / 100; // Convert from pence
+  if (purchaseAmount <= 0) {
+    console.log(`No commission on free checkout for user ${userId}`);
+    return;
+  }
+
+  if (await hasCommissionForPayment(session.payment_intent)) {
+    console.log(`🔁 Commission already recorded for payment ${stripeId(session.payment_intent)}`);
+    return;
+  }
+
+  const { commissionAmount, rule } = await recordCommission({
+    affiliateId: user.referrer_id,
+    referredUserId: userId,
+    productId: session.metadata?.plan,
+    purchaseAmount,
+    paymentIntentId: stripeId(session.payment_intent)
+  });
+
+  console.log(`✅ Commission recorded: £${commissionAmount} for user ${userId} (${rule.source} rate ${rule.rate})`);
+}
+
+// Process subscription commission, within the product's recurring window.
+// Errors propagate like processAffiliateCommission's.
+async function processSubscriptionCommission(invoice, user) {
+  const userId = user.id;
+
+  if (!user.referrer_id) {
+    console.log('No referral found for user:', userId);
+    return;
+  }
+
+  // Commission is on the amount paid, after any promo discount
+  const purchaseAmount = invoice.amount_paid / 100; // Convert from pence
+  if (purchaseAmount <= 0) {
+    console.log(`No commission on zero-value invoice for user ${userId}`);
+    return;
+  }
+
+  if (await hasCommissionForPayment(invoice.payment_intent)) {
+    console.log(`🔁 Commission already recorded for payment ${stripeId(invoice.payment_intent)}`);
+    return;
+  }
+
+  const price = invoice.lines?.data?.[0]?.price;
+  const product = getProduct(invoice.subscription_details?.metadata?.plan) ||
+    (price ? getProductByPriceId(price.id) : null);
+  const rule = await resolveCommissionRule(user.referrer_id, product ? product.id : null);
+
+  const subscription = await stripe.subscriptions.retrieve(stripeId(invoice.subscription));
+  const subscriptionStart = new Date((subscription.start_date || subscription.created) * 1000);
+  const invoiceDate = new Date(invoice.created * 1000);
+
+  if (!isWithinRecurringWindow(rule, subscriptionStart, invoiceDate)) {
+    console.log(`Subscription commission period (${rule.recurringMonths} months) expired for user:`, userId);
+    return;
+  }
+
+  const { commissionAmount } = await recordCommission({
+    affiliateId: user.referrer_id,
+    referredUserId: userId,
+    purchaseAmount,
+    paymentIntentId: stripeId(invoice.payment_intent),
+    rule: { ...rule, subscriptionId: subscription.id, subscriptionStart: subscriptionStart.toISOString() }
+  });
+
+  console.log(`✅ Subscription commission recorded: £${commissionAmount} for user ${userId} (${rule.source} rate ${rule.rate})`);
+}
+
+// The affiliate's current rate for every product and where they are in the tiers
+async function describeAffiliateRates(affiliateId) {
+  const payingReferrals = await db.countPayingReferrals(affiliateId);
+  const tier = getCommissionTier(payingReferrals);
+  const nextTier = COMMISSION_TIERS.find(t => t.minReferrals > payingReferrals) || null;
+
+  const products = [];
+  for (const product of listProducts()) {
+    const rule = await resolveCommissionRule(affiliateId, product.id);
+    products.push({
+      productId: product.id,
+      name: product.name,
+      rate: rule.rate,
+      recurringMonths: product.mode === 'subscription' ? rule.recurringMonths : null,
+      source: rule.source
+    });
+  }
+
+  return {
+    tier: tier.name,
+    payingReferrals,
+    nextTier: nextTier && {
+      name: nextTier.name,
+      referralsNeeded: nextTier.minReferrals - payingReferrals,
+      bonusRate: nextTier.bonusRate
+    },
+    products
+  };
+}
+
+module.exports = {
+  DEFAULT_COMMISSION,
+  COMMISSION_TIERS,
+  COMMISSION_HOLD_DAYS,
+  COMMISSION_AUTO_APPROVE,
+  resolveCommissionRule,
+  recordCommission,
+  approveDueCommissions,
+  processAffiliateCommission,
+  processSubscriptionCommission,
+  describeAffiliateRates
+};
@@ -0,0 +1,169 @@
+// billing/connect.js
+// Stripe Connect accounts for affiliate payouts. Affiliates get an Express
+// account and finish onboarding on Stripe; we keep a copy of its status
+// (charges_enabled, payouts_enabled and the outstanding requirements) on the
+// user, updated by account.updated webhooks and whenever the affiliate comes
+// back from onboarding. Payouts only go to accounts that can receive them.
+const stripe = require('./stripeClient');
+const db = require('../database');
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+
+// Friendlier names for the requirement fields affiliates see most often;
+// anything else is shown as Stripe names it
+const REQUIREMENT_LABELS = {
+  external_account: 'Bank account for payouts',
+  'business_profile.url': 'Website or social profile',
+  'business_profile.mcc': 'Business category',
+  'tos_acceptance.date': 'Accept the Stripe terms of service',
+  'tos_acceptance.ip': 'Accept the Stripe terms of service',
+  'individual.dob.day': 'Date of birth',
+  'individual.dob.month': 'Date of birth',
+  'individual.dob.year': 'Date of birth',
+  'individual.address.line1': 'Home address',
+  'individual.address.city': 'Home address',
+  'individual.address.postal_code': 'Home address',
+  'individual.phone': 'Phone number',
+  'individual.email': 'Email address',
+  'individual.first_name': 'Legal name',
+  'individual.last_name': 'Legal name',
+  'individual.verification.document': 'Identity document',
+  'individual.verification.additional_document': 'Proof of address'
+};
+
+// The parts of account.requirements worth keeping
+function summarizeRequirements(account) {
+  const requirements = account.requirements || {};
+  return {
+    currentlyDue: requirements.currently_due || [],
+    pastDue: requirements.past_due || [],
+    eventuallyDue: requirements.eventually_due || [],
+    pendingVerification: requirements.pending_verification || [],
+    disabledReason: requirements.disabled_reason || null,
+    currentDeadline: requirements.current_deadline || null,
+    errors: (requirements.errors || []).map(error => ({ requirement: error.requirement, reason: error.reason }))
+  };
+}
+
+// Whether Stripe will both accept a transfer to the account and let the
+// affiliate pay it out to their bank
+function canReceivePayouts(account) {
+  const transfers = account.capabilities && account.capabilities.transfers;
+  return Boolean(account.payouts_enabled) && (!transfers || transfers === 'active');
+}
+
+// Store a Connect account's status on the user who owns it. Resolves to the
+// user, or null if no user has the account.
+async function syncConnectAccount(account) {
+  const requirements = summarizeRequirements(account);
+  const updated = await db.updateConnectAccountStatus(account.id, {
+    chargesEnabled: account.charges_enabled,
+    payoutsEnabled: canReceivePayouts(account),
+    detailsSubmitted: account.details_submitted,
+    requirements
+  });
+
+  if (!updated) {
+    console.log(`⚠️ Connect account ${account.id} does not belong to any user`);
+    return null;
+  }
+
+  const outstanding = requirements.currentlyDue.length + requirements.pastDue.length;
+  console.log(`🔗 Connect account ${account.id} synced: payouts ${canReceivePayouts(account) ? 'enabled' : 'disabled'}, ${outstanding} requirements due`);
+  return db.getUserByStripeAccountId(account.id);
+}
+
+// Fetch the user's account from Stripe and store its status. Resolves to the
+// account, or null if the user has none.
+async function refreshConnectAccount(user) {
+  if (!user.stripe_account_id) return null;
+
+  const account = await stripe.accounts.retrieve(user.stripe_account_id);
+  await syncConnectAccount(account);
+  return account;
+}
+
+// The user's Connect account id, creating an Express account on first use
+async function ensureConnectAccount(user) {
+  if (user.stripe_account_id) {
+    return user.stripe_account_id;
+  }
+
+  const account = await stripe.accounts.create({
+    type: 'express',
+    country: 'GB', // Default to UK
+    email: user.email,
+    capabilities: {
+      transfers: { requested: true },
+    },
+  });
+
+  await db.updateStripeAccountId(user.id, account.id);
+  await syncConnectAccount(account);
+  return account.id;
+}
+
+// A fresh onboarding link; Stripe's links are single use and expire quickly
+async function createOnboardingLink(accountId) {
+  const accountLink = await stripe.accountLinks.create({
+    account: accountId,
+    refresh_url: `${BASE_URL}/affiliate/onboard/refresh`,
+    return_url: `${BASE_URL}/affiliate/onboard/return`,
+    type: 'account_onboarding',
+  });
+  return accountLink.url;
+}
+
+function parseRequirements(user) {
+  if (!user.stripe_requirements) return summarizeRequirements({});
+  try {
+    return JSON.parse(user.stripe_requirements);
+  } catch (error) {
+    return summarizeRequirements({});
+  }
+}
+
+// The stored onboarding status for the dashboard. status is 'not_started',
+// 'incomplete' (onboarding not finished), 'restricted' (Stripe needs more
+// before it pays out) or 'active'.
+function describeConnectStatus(user) {
+  const requirements = parseRequirements(user);
+  const labels = fields => [...new Set(fields.map(field => REQUIREMENT_LABELS[field] || field))];
+
+  let status = 'active';
+  if (!user.stripe_account_id) {
+    status = 'not_started';
+  } else if (!user.stripe_details_submitted) {
+    status = 'incomplete';
+  } else if (!user.stripe_payouts_enabled) {
+    status = 'restricted';
+  }
+
+  return {
+    status,
+    accountId: user.stripe_account_id || null,
+    chargesEnabled: Boolean(user.stripe_charges_enabled),
+    payoutsEnabled: Boolean(user.stripe_payouts_enabled),
+    detailsSubmitted: Boolean(user.stripe_details_submitted),
+    syncedAt: user.stripe_account_synced_at || null,
+    requirements: {
+      due: labels([...requirements.pastDue, ...requirements.currentlyDue]),
+      pastDue: labels(requirements.pastDue),
+      eventuallyDue: labels(requirements.eventuallyDue.filter(field => !requirements.currentlyDue.includes(field))),
+      pendingVerification: labels(requirements.pendingVerification),
+      disabledReason: requirements.disabledReason,
+      deadline: requirements.currentDeadline ? new Date(requirements.currentDeadline * 1000).toISOString() : null,
+      errors: requirements.errors
+    }
+  };
+}
+
+module.exports = {
+  summarizeRequirements,
+  canReceivePayouts,
+  syncConnectAccount,
+  refreshConnectAccount,
+  ensureConnectAccount,
+  createOnboardingLink,
+  describeConnectStatus
+};
@@ -0,0 +1,290 @@
+// billing/payouts.js
+// Affiliate payouts. Each payout runs through a small state machine so a crash
+// at any point can be resumed without paying twice or losing commissions:
+//
+//   pending     the batch is locked: its commissions carry its payout_id and
+//               its amount is their sum, all written in one transaction
+//   processing  a Stripe transfer has been requested
+//   paid        the transfer exists; the payout and its commissions are paid
+//   failed      the transfer was refused; amount and commissions are kept for a retry
+//
+// Each transfer attempt gets its own idempotency key (the payout's key plus
+// the attempt number), since Stripe replays a failed request's error for the
+// same key; the transfer_group naming the payout is what stops a retry from
+// paying twice, because a retry looks for a transfer in it first.
+//
+// Before batching, each affiliate is checked for anything that would stop the
+// transfer (no Connect account, below the minimum, a restricted account); the
+// same check backs the read-only preview used by admins and scripts/payouts.js.
+const crypto = require('crypto');
+const stripe = require('./stripeClient');
+const db = require('../database');
+const { approveDueCommissions, COMMISSION_AUTO_APPROVE, COMMISSION_HOLD_DAYS } = require('./commissions');
+const { canReceivePayouts, syncConnectAccount } = require('./connect');
+
+// Smallest payout we make, in pounds; anything less rolls over to the next run
+const PAYOUT_MINIMUM = parseFloat(process.env.PAYOUT_MINIMUM || '50');
+
+// SQLite's CURRENT_TIMESTAMP format
+function toSqlTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function transferGroup(payout) {
+  return `affiliate_payout_${payout.id}`;
+}
+
+const BLOCKING_REASONS = {
+  no_connect_account: 'No connected Stripe account',
+  below_threshold: `Payable amount is below the £${PAYOUT_MINIMUM} minimum`,
+  account_restricted: 'Stripe account cannot receive payouts',
+  account_unavailable: 'Stripe account could not be checked'
+};
+
+function blocker(code, detail = null) {
+  return { code, message: BLOCKING_REASONS[code], detail };
+}
+
+// Whether the connected account can be paid, refreshing the status stored on
+// the affiliate while we have it (unless sync is false). Resolves to null if
+// it can, or the blocking reason.
+async function checkConnectAccount(accountId, { sync = true } = {}) {
+  let account;
+  try {
+    account = await stripe.accounts.retrieve(accountId);
+    if (sync) {
+      await syncConnectAccount(account);
+    }
+  } catch (error) {
+    return blocker('account_unavailable', error.message || String(error));
+  }
+
+  if (!canReceivePayouts(account)) {
+    const transfers = account.capabilities && account.capabilities.transfers;
+    const requirements = account.requirements || {};
+    return blocker('account_restricted', requirements.disabled_reason ||
+      (transfers && transfers !== 'active' ? `transfers capability is ${transfers}` : 'payouts are disabled'));
+  }
+  return null;
+}
+
+// Each affiliate with payable commissions, how much a run would pay them and
+// what blocks it. The Connect account is only checked when nothing else does.
+// A preview writes nothing: it counts the commissions a run would approve and
+// hold first as the run would, and leaves stored account statuses alone.
+async function evaluateAffiliates(cutoff, { preview = false } = {}) {
+  const affiliates = await db.getAffiliatesWithPayableCommissions(cutoff, preview
+    ? { includeDuePending: COMMISSION_AUTO_APPROVE, legacyHoldDays: COMMISSION_HOLD_DAYS }
+    : {});
+
+  const evaluated = [];
+  for (const affiliate of affiliates) {
+    const amount = parseFloat(affiliate.payable_amount);
+    const blockers = [];
+
+    if (!affiliate.stripe_account_id) {
+      blockers.push(blocker('no_connect_account'));
+    }
+    if (amount < PAYOUT_MINIMUM) {
+      blockers.push(blocker('below_threshold', `£${amount.toFixed(2)} of £${PAYOUT_MINIMUM.toFixed(2)}`));
+    }
+    if (blockers.length === 0) {
+      const restricted = await checkConnectAccount(affiliate.stripe_account_id, { sync: !preview });
+      if (restricted) blockers.push(restricted);
+    }
+
+    evaluated.push({
+      userId: affiliate.id,
+      email: affiliate.email,
+      username: affiliate.username,
+      stripeAccountId: affiliate.stripe_account_id,
+      amount,
+      commissionCount: affiliate.commission_count,
+      eligible: blockers.length === 0,
+      blockers
+    });
+  }
+
+  return evaluated;
+}
+
+// Lock the affiliate's payable commissions into a new pending payout.
+// Resolves to the payout, or null if they are below the minimum.
+async function createPayoutBatch(affiliate, { cutoff = toSqlTimestamp(new Date()) } = {}) {
+  const payout = await db.createPayoutBatch(affiliate.id, {
+    minimum: PAYOUT_MINIMUM,
+    cutoff,
+    idempotencyKey: `affiliate-payout-${affiliate.id}-${crypto.randomUUID()}`
+  });
+
+  if (payout) {
+    console.log(`📦 Payout ${payout.id} created for user ${affiliate.id}: £${payout.amount}`);
+  }
+  return payout;
+}
+
+// A transfer already made for this payout by an earlier, interrupted attempt
+async function findExistingTransfer(payout) {
+  const transfers = await stripe.transfers.list({ transfer_group: transferGroup(payout), limit: 1 });
+  return transfers.data.find(transfer => transfer.transfer_group === transferGroup(payout)) || null;
+}
+
+// Take a pending, processing or failed payout through to paid. Resolves to the
+// updated payout; a refused transfer leaves it failed with the reason.
+async function executePayout(payout) {
+  const affiliate = await db.getUserById(payout.user_id);
+
+  if (!affiliate || !affiliate.stripe_account_id) {
+    await db.failPayout(payout.id, 'Affiliate has no connected Stripe account');
+    return db.getPayoutById(payout.id);
+  }
+
+  // A payout seen as processing was interrupted mid-transfer
+  const resuming = payout.status === 'processing';
+  if (!(await db.markPayoutProcessing(payout.id, payout.attempts))) {
+    return db.getPayoutById(payout.id);
+  }
+
+  try {
+    let transfer = resuming || payout.attempts > 0 ? await findExistingTransfer(payout) : null;
+
+    if (!transfer) {
+      transfer = await stripe.transfers.create({
+        amount: Math.round(payout.amount * 100), // Stripe uses pence
+        currency: 'gbp',
+        destination: affiliate.stripe_account_id,
+        transfer_group: transferGroup(payout),
+        description: `CopyBoss Affiliate Payout #${payout.id}`,
+        metadata: {
+          user_id: String(affiliate.id),
+          payout_id: String(payout.id),
+          affiliate_payout: 'true'
+        }
+      }, {
+        idempotencyKey: `${payout.idempotency_key}-${(payout.attempts || 0) + 1}`
+      });
+    }
+
+    await db.completePayout(payout.id, transfer.id);
+    console.log(`✅ Payout ${payout.id} paid to user ${affiliate.id}: £${payout.amount} (${transfer.id})`);
+  } catch (error) {
+    await db.failPayout(payout.id, error.message || String(error));
+    console.error(`❌ Payout ${payout.id} for user ${affiliate.id} failed:`, error.message || error);
+  }
+
+  return db.getPayoutById(payout.id);
+}
+
+// What a payout run would do now, without doing it: the payouts it would
+// resume and every affiliate with payable commissions, eligible or not.
+// Commissions a run would approve first are counted as payable.
+async function previewPayouts() {
+  const cutoff = toSqlTimestamp(new Date());
+  const affiliates = await evaluateAffiliates(cutoff, { preview: true });
+  const eligible = affiliates.filter(a => a.eligible);
+
+  return {
+    minimum: PAYOUT_MINIMUM,
+    cutoff,
+    unfinished: await db.getUnfinishedPayouts(),
+    affiliates,
+    totals: {
+      eligibleAffiliates: eligible.length,
+      eligibleAmount: Math.round(eligible.reduce((sum, a) => sum + a.amount, 0) * 100) / 100,
+      blockedAffiliates: affiliates.length - eligible.length
+    }
+  };
+}
+
+// Runs and retries in this process go through one queue, so the cron job, an
+// admin run and a retry never work on payouts at the same time. Other
+// processes (scripts/payouts.js) are kept apart by the batch transaction and
+// the attempts check in markPayoutProcessing.
+let payoutQueue = Promise.resolve();
+let activeRun = null;
+
+function enqueue(task) {
+  const run = payoutQueue.then(task);
+  payoutQueue = run.catch(() => {});
+  return run;
+}
+
+// One payout run: approve commissions past their hold, finish any payouts an
+// earlier run left behind, then batch and pay every affiliate nothing blocks.
+// Resolves to { payouts, skipped }: the payouts touched and the affiliates
+// left for a later run. A call while a run is queued or in progress gets that
+// run's result.
+function processPayouts() {
+  if (!activeRun) {
+    activeRun = enqueue(runPayouts).finally(() => {
+      activeRun = null;
+    });
+  }
+  return activeRun;
+}
+
+async function runPayouts() {
+  await approveDueCommissions();
+
+  const payouts = [];
+  for (const payout of await db.getUnfinishedPayouts()) {
+    console.log(`🔁 Resuming payout ${payout.id} (${payout.status})`);
+    payouts.push(await executePayout(payout));
+  }
+
+  const cutoff = toSqlTimestamp(new Date());
+  const affiliates = await evaluateAffiliates(cutoff);
+  const skipped = affiliates.filter(a => !a.eligible);
+  if (affiliates.length === skipped.length) {
+    console.log('ℹ️ No eligible users for payout');
+  }
+
+  for (const affiliate of skipped) {
+    console.log(`⏭️ Skipping user ${affiliate.userId}: ${affiliate.blockers.map(b => b.code).join(', ')}`);
+  }
+
+  for (const affiliate of affiliates.filter(a => a.eligible)) {
+    try {
+      const payout = await createPayoutBatch({ id: affiliate.userId }, { cutoff });
+      if (payout) {
+        payouts.push(await executePayout(payout));
+      }
+    } catch (error) {
+      console.error(`❌ Failed to process payout for user ${affiliate.userId}:`, error);
+      // Continue with other users
+    }
+  }
+
+  return { payouts, skipped };
+}
+
+// Try an unfinished payout again now rather than waiting for the next run.
+// Resolves to the updated payout, or null if there is no such payout.
+function retryPayout(payoutId) {
+  return enqueue(() => retryUnfinishedPayout(payoutId));
+}
+
+async function retryUnfinishedPayout(payoutId) {
+  const payout = await db.getPayoutById(payoutId);
+  if (!payout) return null;
+
+  if (payout.status === 'paid') {
+    throw new Error(`Payout ${payout.id} is already paid`);
+  }
+  if (!payout.idempotency_key) {
+    throw new Error(`Payout ${payout.id} predates resumable payouts and cannot be retried`);
+  }
+
+  console.log(`🔁 Retrying payout ${payout.id} (${payout.status})`);
+  return executePayout(payout);
+}
+
+module.exports = {
+  PAYOUT_MINIMUM,
+  BLOCKING_REASONS,
+  createPayoutBatch,
+  executePayout,
+  previewPayouts,
+  processPayouts,
+  retryPayout
+};
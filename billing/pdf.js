@@ -0,0 +1,85 @@
+// billing/pdf.js
+// Just enough PDF to print a receipt or statement: A4 pages of left- or
+// right-aligned Helvetica text and horizontal rules, with no dependencies.
+// Text is encoded as WinAnsi, so £ and accented Latin characters print;
+// anything outside Latin-1 becomes '?'.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+function escapeText(text) {
+  return String(text)
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/[\\()]/g, ch => `\\${ch}`);
+}
+
+// Helvetica averages a little over half an em per character, which is close
+// enough to right-align amounts
+function textWidth(text, size) {
+  return String(text).length * size * 0.53;
+}
+
+// rows: [{ text } | { cells: [{ text, x, align: 'right', bold }], size, bold, gap, rule }]
+// Returns the PDF as a Buffer.
+function renderPdf(rows) {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const row of rows) {
+    const size = row.size || 10;
+    const lineHeight = size * 1.4 + (row.gap || 0);
+    if (y - lineHeight < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= lineHeight;
+
+    const ops = pages[pages.length - 1];
+    for (const cell of row.cells || [{ text: row.text }]) {
+      if (cell.text === undefined || cell.text === null || cell.text === '') continue;
+
+      const font = (cell.bold !== undefined ? cell.bold : row.bold) ? 'F2' : 'F1';
+      const x = cell.align === 'right'
+        ? (cell.x || PAGE_WIDTH - MARGIN) - textWidth(cell.text, size)
+        : (cell.x || MARGIN);
+      ops.push(`BT /${font} ${size} Tf ${x.toFixed(1)} ${y.toFixed(1)} Td (${escapeText(cell.text)}) Tj ET`);
+    }
+
+    if (row.rule) {
+      ops.push(`0.5 w ${MARGIN} ${(y - 5).toFixed(1)} m ${PAGE_WIDTH - MARGIN} ${(y - 5).toFixed(1)} l S`);
+    }
+  }
+
+  // 1 catalog, 2 page tree, 3-4 fonts, then a page and its content stream per page
+  const objects = [];
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pages.map((_, i) => `${5 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+  pages.forEach((ops, i) => {
+    const content = ops.join('\n');
+    objects[5 + i * 2] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`;
+    objects[6 + i * 2] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let i = 1; i < objects.length; i++) {
+    offsets[i] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${i} 0 obj\n${objects[i]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  pdf += offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  renderPdf
+};
@@ -0,0 +1,251 @@
+// billing/promos.js
+// Promo codes. A code either discounts the checkout price (percentage or a
+// fixed amount in pence, applied through a Stripe coupon) or adds bonus report
+// credits on top of the purchase. Codes owned by an affiliate also make that
+// affiliate the buyer's referrer if they do not have one yet.
+const stripe = require('./stripeClient');
+const db = require('../database');
+const { getProduct } = require('./catalog');
+
+const PROMO_TYPES = ['percentage', 'fixed', 'credit_bonus'];
+
+// Default discount for codes affiliates create for themselves
+const AFFILIATE_PROMO_PERCENT = parseInt(process.env.AFFILIATE_PROMO_PERCENT || '10');
+
+function describePromo(promo) {
+  if (promo.description) return promo.description;
+  if (promo.type === 'percentage') return `${promo.value}% off`;
+  if (promo.type === 'fixed') return `£${(promo.value / 100).toFixed(2)} off`;
+  return `${promo.value} bonus report credits`;
+}
+
+// What the promo does to a product's price
+function applyPromo(promo, product) {
+  const originalAmount = product.display.amount;
+  let discountAmount = 0;
+
+  if (promo.type === 'percentage') {
+    discountAmount = Math.round(originalAmount * promo.value / 100);
+  } else if (promo.type === 'fixed') {
+    discountAmount = Math.min(promo.value, originalAmount);
+  }
+
+  return {
+    originalAmount,
+    discountAmount,
+    finalAmount: originalAmount - discountAmount,
+    bonusCredits: promo.type === 'credit_bonus' ? promo.value : 0
+  };
+}
+
+// Check a code for a user and product. Resolves to { valid: true, promo, pricing }
+// or { valid: false, error }.
+async function validatePromoCode(code, { userId, productId }) {
+  if (!code) {
+    return { valid: false, error: 'Promo code required' };
+  }
+
+  const product = getProduct(productId);
+  if (!product) {
+    return { valid: false, error: `Unknown plan: ${productId}` };
+  }
+
+  const promo = await db.getPromoCodeByCode(code);
+  if (!promo || !promo.active) {
+    return { valid: false, error: 'Invalid promo code' };
+  }
+  if (promo.expires_at && new Date(promo.expires_at) <= new Date()) {
+    return { valid: false, error: 'This promo code has expired' };
+  }
+  if (promo.max_redemptions && promo.redemptions_count >= promo.max_redemptions) {
+    return { valid: false, error: 'This promo code has been fully redeemed' };
+  }
+  if (promo.products && !promo.products.includes(product.id)) {
+    return { valid: false, error: `This promo code can't be used for ${product.name}` };
+  }
+  if (promo.affiliate_id && String(promo.affiliate_id) === String(userId)) {
+    return { valid: false, error: "You can't use your own affiliate code" };
+  }
+  if (userId && promo.per_user_limit) {
+    const used = await db.countUserPromoRedemptions(promo.id, userId);
+    if (used >= promo.per_user_limit) {
+      return { valid: false, error: "You've already used this promo code" };
+    }
+  }
+
+  return { valid: true, promo, product, pricing: applyPromo(promo, product) };
+}
+
+// Validate the fields for a new promo code. Resolves to { promo } ready for
+// db.createPromoCode, or { error }.
+function buildPromoCode(input) {
+  const code = String(input.code || '').trim().toUpperCase();
+  const value = parseInt(input.value);
+  const products = input.products || null;
+
+  if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+    return { error: 'Code must be 3-32 letters, numbers, dashes or underscores' };
+  }
+  if (!PROMO_TYPES.includes(input.type)) {
+    return { error: `Type must be one of: ${PROMO_TYPES.join(', ')}` };
+  }
+  if (isNaN(value) || value <= 0 || (input.type === 'percentage' && value > 100)) {
+    return { error: 'Invalid value' };
+  }
+  if (products && (!Array.isArray(products) || products.some(id => !getProduct(id)))) {
+    return { error: 'Products must be a list of known plan ids' };
+  }
+  if (input.expiresAt && isNaN(new Date(input.expiresAt).getTime())) {
+    return { error: 'Invalid expiry date' };
+  }
+
+  return {
+    promo: {
+      code,
+      type: input.type,
+      value,
+      products,
+      description: input.description || null,
+      expiresAt: input.expiresAt ? new Date(input.expiresAt).toISOString() : null,
+      maxRedemptions: input.maxRedemptions ? parseInt(input.maxRedemptions) : null,
+      perUserLimit: input.perUserLimit ? parseInt(input.perUserLimit) : 1,
+      affiliateId: input.affiliateId || null
+    }
+  };
+}
+
+// The Stripe coupon for a discount promo, created on first use. It carries
+// the promo's expiry and redemption cap so Stripe refuses the discount too.
+async function getStripeCoupon(promo) {
+  if (promo.stripe_coupon_id) return promo.stripe_coupon_id;
+
+  const coupon = await stripe.coupons.create({
+    name: promo.code,
+    duration: 'once',
+    ...(promo.type === 'percentage'
+      ? { percent_off: promo.value }
+      : { amount_off: promo.value, currency: 'gbp' }),
+    ...(promo.max_redemptions && { max_redemptions: promo.max_redemptions }),
+    ...(promo.expires_at && { redeem_by: Math.floor(new Date(promo.expires_at).getTime() / 1000) }),
+    metadata: { promo_code_id: String(promo.id) }
+  });
+
+  await db.setPromoStripeCoupon(promo.id, coupon.id);
+  return coupon.id;
+}
+
+// Expire one of the user's earlier checkouts. Resolves to false if it can no
+// longer be expired because it has completed.
+async function expireCheckoutSession(sessionId) {
+  try {
+    await stripe.checkout.sessions.expire(sessionId);
+    return true;
+  } catch (error) {
+    const session = await stripe.checkout.sessions.retrieve(sessionId);
+    return session.status === 'expired';
+  }
+}
+
+// Hold a redemption for a new checkout, so checkouts still open count against
+// the promo's limits and a user can't pay several of them at the discount.
+// The user's earlier open checkouts with the promo are expired first, so going
+// back and starting again still works. Resolves to the reservation id, or null
+// if the promo's limits are reached.
+async function reservePromo(promo, userId) {
+  for (const reservation of await db.getOpenPromoReservations(promo.id, userId)) {
+    if (reservation.checkout_session_id && !(await expireCheckoutSession(reservation.checkout_session_id))) {
+      continue;
+    }
+    await db.releasePromoReservation(reservation.id);
+  }
+  return db.reservePromoCode(promo, userId);
+}
+
+// Checkout session parameters for a validated promo, reserving a redemption
+// for the session (attach it with db.attachPromoReservation once the session
+// exists). Resolves to null if the promo is used up.
+async function getCheckoutPromoParams(promo, pricing, userId) {
+  const reservationId = await reservePromo(promo, userId);
+  if (!reservationId) return null;
+
+  const params = {
+    reservationId,
+    expiresAt: Math.floor(Date.now() / 1000) + db.PROMO_RESERVATION_MINUTES * 60,
+    metadata: {
+      promoCode: promo.code,
+      bonusCredits: String(pricing.bonusCredits)
+    }
+  };
+
+  if (pricing.discountAmount > 0) {
+    params.discounts = [{ coupon: await getStripeCoupon(promo) }];
+  }
+
+  return params;
+}
+
+// checkout.session.completed: count the redemption, grant bonus credits and
+// attribute the affiliate. Resolves to the (possibly updated) user.
+async function redeemCheckoutPromo(session, user) {
+  const code = session.metadata?.promoCode;
+  if (!code) return user;
+
+  const promo = await db.getPromoCodeByCode(code);
+  if (!promo) {
+    console.log(`⚠️ Checkout session ${session.id} used unknown promo ${code}`);
+    return user;
+  }
+
+  // A replayed event finds the session already counted ('duplicate') and
+  // carries on, since the bonus below is only granted once per session
+  const result = await db.redeemPromoCode(promo, user.id, session.id);
+  if (result === 'limit_reached') {
+    console.log(`⚠️ Checkout session ${session.id} used ${promo.code} past its redemption limits; no bonus granted`);
+    return user;
+  }
+
+  if (promo.type === 'credit_bonus' && promo.value > 0) {
+    const granted = await db.addReportCredits(user.id, promo.value, 'promo_bonus', {
+      reference: session.id,
+      workspaceId: session.metadata?.workspaceId || null,
+      note: `Promo ${promo.code}`
+    });
+    if (granted) {
+      console.log(`🎁 Added ${promo.value} bonus credits to user ${user.id} (${promo.code})`);
+    }
+  }
+
+  return attributePromoAffiliate(promo, user);
+}
+
+// checkout.session.expired: the checkout's reserved redemption is free again
+async function releaseCheckoutPromo(session) {
+  if (await db.releasePromoReservationForSession(session.id)) {
+    console.log(`↩️ Released promo reservation for expired checkout session ${session.id}`);
+  }
+}
+
+// Make an affiliate code's owner the user's referrer if they have none yet.
+// Accepts a promo row or a code. Resolves to the (possibly updated) user.
+async function attributePromoAffiliate(promoOrCode, user) {
+  const promo = typeof promoOrCode === 'string' ? await db.getPromoCodeByCode(promoOrCode) : promoOrCode;
+  if (!promo || !promo.affiliate_id || user.referrer_id) return user;
+
+  if (await db.setReferrerIfMissing(user.id, promo.affiliate_id)) {
+    console.log(`🔗 User ${user.id} referred by affiliate ${promo.affiliate_id} via ${promo.code}`);
+    return db.getUserById(user.id);
+  }
+  return user;
+}
+
+module.exports = {
+  PROMO_TYPES,
+  AFFILIATE_PROMO_PERCENT,
+  describePromo,
+  buildPromoCode,
+  validatePromoCode,
+  getCheckoutPromoParams,
+  redeemCheckoutPromo,
+  releaseCheckoutPromo,
+  attributePromoAffiliate
+};
@@ -0,0 +1,299 @@
+// billing/receipts.js
+// Numbered receipts for every successful payment, and payout statements for
+// affiliates. A receipt is stored when its payment webhook arrives, together
+// with the customer's billing details at that moment, and rendered as HTML or
+// PDF on request. Prices include VAT; the VAT share is only shown once
+// COMPANY_VAT_NUMBER is set.
+const db = require('../database');
+const { getProduct, getProductByPriceId } = require('./catalog');
+const { renderPdf } = require('./pdf');
+
+const SELLER = {
+  name: process.env.COMPANY_NAME || 'Zerra Group Ltd',
+  address: process.env.COMPANY_ADDRESS || '',
+  vatNumber: process.env.COMPANY_VAT_NUMBER || null,
+  email: process.env.COMPANY_EMAIL || 'hello@copy-boss.com'
+};
+
+const VAT_RATE = parseFloat(process.env.VAT_RATE || '20');
+
+// Receipts are numbered <prefix>-000001, payout statements <prefix>-PO-000001
+const RECEIPT_PREFIX = process.env.RECEIPT_PREFIX || 'CB';
+
+function toISODate(unixSeconds) {
+  return unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+function formatMoney(pence, currency = 'gbp') {
+  const amount = (pence / 100).toFixed(2);
+  return currency.toLowerCase() === 'gbp' ? `£${amount}` : `${amount} ${currency.toUpperCase()}`;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }) : '';
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// The VAT contained in a VAT-inclusive amount
+function vatFor(amount) {
+  if (!SELLER.vatNumber || VAT_RATE <= 0) return { vatRate: 0, vatAmount: 0 };
+  return { vatRate: VAT_RATE, vatAmount: Math.round(amount * VAT_RATE / (100 + VAT_RATE)) };
+}
+
+function customerDetails(user) {
+  return {
+    customerName: user.billing_name || user.username,
+    customerEmail: user.email,
+    companyName: user.company_name,
+    vatNumber: user.vat_number,
+    billingAddress: user.billing_address
+  };
+}
+
+async function storeReceipt(receipt) {
+  const receiptId = await db.createReceipt({ ...receipt, ...vatFor(receipt.amount) }, RECEIPT_PREFIX);
+  if (receiptId) {
+    console.log(`🧾 Receipt ${receiptId} issued to user ${receipt.userId} for ${receipt.sourceId}`);
+  }
+  return receiptId;
+}
+
+// checkout.session.completed for a one-off purchase. Subscriptions get their
+// receipts from invoices, including the first one.
+async function createReceiptForCheckout(session, user) {
+  if (session.mode !== 'payment' || !session.amount_total) return null;
+
+  const product = getProduct(session.metadata?.plan);
+  const description = product ? product.name : 'CopyBoss purchase';
+  const subtotal = session.amount_subtotal || session.amount_total;
+
+  return storeReceipt({
+    userId: user.id,
+    workspaceId: session.metadata?.workspaceId,
+    sourceType: 'checkout',
+    sourceId: session.id,
+    paymentIntentId: session.payment_intent,
+    description,
+    items: [{ description, amount: subtotal }],
+    subtotal,
+    discount: subtotal - session.amount_total,
+    amount: session.amount_total,
+    currency: session.currency || 'gbp',
+    paidAt: toISODate(session.created) || new Date().toISOString(),
+    ...customerDetails(user)
+  });
+}
+
+// invoice.payment_succeeded. Trial and fully discounted invoices took no money and get no receipt.
+async function createReceiptForInvoice(invoice, user) {
+  if (!invoice.amount_paid) return null;
+
+  const lines = invoice.lines?.data || [];
+  const product = lines[0]?.price ? getProductByPriceId(lines[0].price.id) : null;
+  const description = product ? product.name : 'CopyBoss subscription';
+  const subtotal = invoice.subtotal || invoice.amount_paid;
+  const items = lines.map(line => ({ description: line.description || description, amount: line.amount }));
+
+  return storeReceipt({
+    userId: user.id,
+    workspaceId: invoice.subscription_details?.metadata?.workspaceId,
+    sourceType: 'invoice',
+    sourceId: invoice.id,
+    paymentIntentId: invoice.payment_intent,
+    description,
+    items: items.length > 0 ? items : [{ description, amount: subtotal }],
+    subtotal,
+    discount: Math.max(0, subtotal - (invoice.total || invoice.amount_paid)),
+    amount: invoice.amount_paid,
+    currency: invoice.currency || 'gbp',
+    paidAt: toISODate(invoice.status_transitions?.paid_at) || toISODate(invoice.created) || new Date().toISOString(),
+    ...customerDetails(user)
+  });
+}
+
+function sellerLines() {
+  return [
+    SELLER.name,
+    ...SELLER.address.split(/\n|,\s*/).filter(Boolean),
+    SELLER.email,
+    SELLER.vatNumber ? `VAT number: ${SELLER.vatNumber}` : null
+  ].filter(Boolean);
+}
+
+function customerLines(details) {
+  return [
+    details.name,
+    details.company,
+    ...(details.address || '').split('\n').filter(Boolean),
+    details.email,
+    details.vatNumber ? `VAT number: ${details.vatNumber}` : null
+  ].filter(Boolean);
+}
+
+// Everything a receipt shows, independent of the output format
+function receiptDocument(receipt) {
+  const currency = receipt.currency;
+  const totals = [{ label: 'Subtotal', amount: formatMoney(receipt.subtotal, currency) }];
+  if (receipt.discount > 0) {
+    totals.push({ label: 'Discount', amount: `-${formatMoney(receipt.discount, currency)}` });
+  }
+  totals.push({ label: 'Total paid', amount: formatMoney(receipt.amount, currency), bold: true });
+  if (receipt.vat_amount > 0) {
+    totals.push({ label: `Includes VAT at ${receipt.vat_rate}%`, amount: formatMoney(receipt.vat_amount, currency) });
+  }
+
+  return {
+    title: 'Receipt',
+    number: receipt.number,
+    date: formatDate(receipt.paid_at || receipt.created_at),
+    fromLabel: 'From',
+    from: sellerLines(),
+    toLabel: 'Billed to',
+    to: customerLines({
+      name: receipt.customer_name,
+      company: receipt.company_name,
+      address: receipt.billing_address,
+      email: receipt.customer_email,
+      vatNumber: receipt.vat_number
+    }),
+    items: receipt.items.map(item => ({ description: item.description, amount: formatMoney(item.amount, currency) })),
+    totals,
+    notes: [
+      'Paid in full by card. Thank you for your business.',
+      receipt.payment_intent_id ? `Payment reference: ${receipt.payment_intent_id}` : null
+    ].filter(Boolean)
+  };
+}
+
+// A payout and the commissions (and clawbacks) it settled
+function payoutStatementDocument(payout, affiliate, commissions) {
+  const toPence = amount => Math.round(parseFloat(amount) * 100);
+
+  return {
+    title: 'Payout statement',
+    number: `${RECEIPT_PREFIX}-PO-${String(payout.id).padStart(6, '0')}`,
+    date: formatDate(payout.paid_at || payout.created_at),
+    fromLabel: 'Paid by',
+    from: sellerLines(),
+    toLabel: 'Paid to',
+    to: customerLines({
+      name: affiliate.billing_name || affiliate.username,
+      company: affiliate.company_name,
+      address: affiliate.billing_address,
+      email: affiliate.email,
+      vatNumber: affiliate.vat_number
+    }),
+    items: commissions.map(commission => ({
+      description: commission.kind === 'clawback'
+        ? `Clawback for refunded referral #${commission.referred_user_id} (${formatDate(commission.created_at)})`
+        : `Commission on referral #${commission.referred_user_id} purchase of £${parseFloat(commission.purchase_amount).toFixed(2)} (${formatDate(commission.created_at)})`,
+      amount: formatMoney(toPence(commission.commission_amount))
+    })),
+    totals: [{ label: 'Total paid out', amount: formatMoney(toPence(payout.amount)), bold: true }],
+    notes: [
+      `Status: ${payout.status}`,
+      payout.stripe_payout_id ? `Stripe transfer: ${payout.stripe_payout_id}` : null,
+      'Commission is paid gross. You are responsible for any tax due on it.'
+    ].filter(Boolean)
+  };
+}
+
+function documentToHtml(doc) {
+  const list = lines => lines.map(escapeHtml).join('<br>');
+  const row = (item, bold) => `
+        <tr${bold ? ' class="total"' : ''}>
+          <td>${escapeHtml(item.description || item.label)}</td>
+          <td class="amount">${escapeHtml(item.amount)}</td>
+        </tr>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(doc.title)} ${escapeHtml(doc.number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 720px; margin: 40px auto; padding: 0 20px; }
+    h1 { margin-bottom: 4px; }
+    .meta { color: #666; margin-bottom: 32px; }
+    .parties { display: flex; justify-content: space-between; margin-bottom: 32px; }
+    .parties h3 { margin: 0 0 6px; font-size: 13px; text-transform: uppercase; color: #888; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 8px 0; border-bottom: 1px solid #eee; }
+    .amount { text-align: right; white-space: nowrap; }
+    .total td { font-weight: bold; border-top: 2px solid #222; }
+    .notes { margin-top: 32px; color: #666; font-size: 13px; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(doc.title)}</h1>
+  <div class="meta">${escapeHtml(doc.number)} &middot; ${escapeHtml(doc.date)}</div>
+  <div class="parties">
+    <div><h3>${escapeHtml(doc.fromLabel)}</h3>${list(doc.from)}</div>
+    <div><h3>${escapeHtml(doc.toLabel)}</h3>${list(doc.to)}</div>
+  </div>
+  <table>${doc.items.map(item => row(item)).join('')}${doc.totals.map(total => row(total, total.bold)).join('')}
+  </table>
+  <div class="notes">${list(doc.notes)}</div>
+</body>
+</html>
+`;
+}
+
+function documentToPdf(doc) {
+  const rows = [
+    { text: doc.title, size: 20, bold: true },
+    { text: `${doc.number}  ·  ${doc.date}`, gap: 12 },
+    { cells: [{ text: doc.fromLabel.toUpperCase(), bold: true }, { text: doc.toLabel.toUpperCase(), x: 320, bold: true }], size: 8 }
+  ];
+
+  for (let i = 0; i < Math.max(doc.from.length, doc.to.length); i++) {
+    rows.push({ cells: [{ text: doc.from[i] }, { text: doc.to[i], x: 320 }] });
+  }
+
+  rows.push({ text: '', gap: 12, rule: true });
+  for (const item of doc.items) {
+    rows.push({ cells: [{ text: item.description }, { text: item.amount, align: 'right' }], gap: 4 });
+  }
+  for (const total of doc.totals) {
+    rows.push({ cells: [{ text: total.label }, { text: total.amount, align: 'right' }], bold: total.bold, gap: 4 });
+  }
+
+  rows.push({ text: '', gap: 12 });
+  for (const note of doc.notes) {
+    rows.push({ text: note, size: 9 });
+  }
+
+  return renderPdf(rows);
+}
+
+// format is 'pdf' or 'html'. Returns { filename, contentType, body }.
+function renderDocument(doc, format) {
+  if (format === 'pdf') {
+    return { filename: `${doc.number}.pdf`, contentType: 'application/pdf', body: documentToPdf(doc) };
+  }
+  return { filename: `${doc.number}.html`, contentType: 'text/html', body: documentToHtml(doc) };
+}
+
+function renderReceipt(receipt, format = 'html') {
+  return renderDocument(receiptDocument(receipt), format);
+}
+
+function renderPayoutStatement(payout, affiliate, commissions, format = 'html') {
+  return renderDocument(payoutStatementDocument(payout, affiliate, commissions), format);
+}
+
+module.exports = {
+  createReceiptForCheckout,
+  createReceiptForInvoice,
+  renderReceipt,
+  renderPayoutStatement
+};
@@ -0,0 +1,155 @@
+// billing/referrals.js
+// Referral links and click attribution. A referral link is /r/<code>, where
+// the code is the affiliate's user id; following it logs the click (landing
+// page, a keyed hash of the IP rather than the IP itself, user agent and
+// referring site) and sets a first-party cookie naming the click. Signing up
+// within REFERRAL_ATTRIBUTION_DAYS of the click makes the affiliate the new
+// user's referrer, unless the signup names a referrer itself. Clicking another
+// affiliate's link later replaces the cookie, so the last click wins.
+const crypto = require('crypto');
+const db = require('../database');
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+
+const REFERRAL_COOKIE = 'cb_ref';
+const REFERRAL_ATTRIBUTION_DAYS = parseInt(process.env.REFERRAL_ATTRIBUTION_DAYS || '30');
+
+const IP_HASH_KEY = process.env.REFERRAL_IP_HASH_KEY || process.env.SESSION_SECRET || 'copyboss-secret-key-2024';
+
+function referralLink(affiliateId) {
+  return `${BASE_URL}/r/${affiliateId}`;
+}
+
+function hashIp(ip) {
+  return ip ? crypto.createHmac('sha256', IP_HASH_KEY).update(ip).digest('hex') : null;
+}
+
+// Only paths on this site, so the link can't be used as an open redirect
+function safeLandingPage(value) {
+  if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//') || value.startsWith('/\\')) {
+    return '/';
+  }
+  return value;
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+function cookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production'
+  };
+}
+
+// Log a click on the affiliate's link and point the attribution cookie at it.
+// Resolves to the click id, or null if the code is not an affiliate.
+async function trackReferralClick(req, res, code, landingPage) {
+  const affiliate = /^\d+$/.test(code) ? await db.getUserById(code) : null;
+  if (!affiliate) return null;
+
+  const clickId = await db.recordReferralClick({
+    affiliateId: affiliate.id,
+    landingPage,
+    ipHash: hashIp(req.ip),
+    userAgent: (req.get('user-agent') || '').slice(0, 500) || null,
+    referer: (req.get('referer') || '').slice(0, 500) || null
+  });
+
+  res.cookie(REFERRAL_COOKIE, String(clickId), {
+    ...cookieOptions(),
+    maxAge: REFERRAL_ATTRIBUTION_DAYS * 24 * 60 * 60 * 1000
+  });
+  return clickId;
+}
+
+// GET /r/:code, with ?to=/pricing to land somewhere other than the home page.
+// Tracking problems never stop the visitor reaching the page.
+async function handleReferralLink(req, res) {
+  const landingPage = safeLandingPage(req.query.to);
+  try {
+    const clickId = await trackReferralClick(req, res, req.params.code, landingPage);
+    if (!clickId) {
+      console.log(`⚠️ Referral link with unknown code ${req.params.code}`);
+    }
+  } catch (error) {
+    console.error('Referral click tracking error:', error);
+  }
+  res.redirect(landingPage);
+}
+
+// Links shared before /r/ existed look like /?ref=<id>; track those the same way
+async function trackLegacyReferral(req, res, next) {
+  if (req.method === 'GET' && typeof req.query.ref === 'string') {
+    try {
+      await trackReferralClick(req, res, req.query.ref, req.path);
+    } catch (error) {
+      console.error('Referral click tracking error:', error);
+    }
+  }
+  next();
+}
+
+// The click a signup should be credited to, from the attribution cookie.
+// Resolves to { affiliateId, clickId }, or null if there is no cookie or the
+// click is unknown, already used, or outside the attribution window.
+async function getSignupAttribution(req) {
+  const clickId = parseInt(readCookie(req, REFERRAL_COOKIE));
+  if (!clickId) return null;
+
+  const click = await db.getReferralClick(clickId);
+  if (!click || click.signup_user_id) return null;
+
+  const clickedAt = new Date(click.created_at.replace(' ', 'T') + 'Z');
+  if (Date.now() - clickedAt > REFERRAL_ATTRIBUTION_DAYS * 24 * 60 * 60 * 1000) return null;
+
+  return { affiliateId: click.affiliate_id, clickId: click.id };
+}
+
+// After the signup: credit the click if its affiliate became the referrer,
+// and clear the cookie either way
+async function completeSignupAttribution(res, attribution, user) {
+  res.clearCookie(REFERRAL_COOKIE, cookieOptions());
+  if (!attribution || String(user.referrer_id) !== String(attribution.affiliateId)) return;
+
+  await db.markReferralClickConverted(attribution.clickId, user.id);
+  console.log(`🔗 User ${user.id} attributed to affiliate ${attribution.affiliateId} from click ${attribution.clickId}`);
+}
+
+function conversionRate(count, total) {
+  return total > 0 ? Math.round(count / total * 1000) / 10 : null;
+}
+
+// Clicks → signups → paying customers for the affiliate dashboard, with the
+// conversion between each step as a percentage
+async function getReferralFunnel(affiliateId) {
+  const counts = await db.getReferralFunnel(affiliateId);
+  const payingCustomers = await db.countPayingReferrals(affiliateId);
+
+  return {
+    clicks: counts.clicks,
+    uniqueVisitors: counts.unique_visitors,
+    signups: counts.signups,
+    clickSignups: counts.click_signups,
+    payingCustomers,
+    clickToSignupRate: conversionRate(counts.click_signups, counts.clicks),
+    signupToPayingRate: conversionRate(payingCustomers, counts.signups),
+    attributionDays: REFERRAL_ATTRIBUTION_DAYS
+  };
+}
+
+module.exports = {
+  REFERRAL_ATTRIBUTION_DAYS,
+  referralLink,
+  handleReferralLink,
+  trackLegacyReferral,
+  getSignupAttribution,
+  completeSignupAttribution,
+  getReferralFunnel
+};
@@ -0,0 +1,214 @@
+// billing/reversals.js
+// Refunds and disputes. When money goes back to the customer we take back what
+// it bought (current Pro time or unspent credits) and the referrer's commission
+// on it. Every reversal is logged in payment_reversals per charge, so repeated
+// deliveries and incremental refunds only apply the part not seen before. The
+// log entry is written last; until then, credits and clawbacks are measured
+// against what the ledger and earlier clawbacks already hold, so a reversal
+// whose event failed part way and is replayed doesn't take anything twice.
+const stripe = require('./stripeClient');
+const db = require('../database');
+const { resolveUser, resolveWorkspace, updateBillingState } = require('./subscriptions');
+const { getProduct } = require('./catalog');
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Our user for a charge: by Stripe customer, falling back to whoever the commission was for
+async function resolveChargeUser(charge, commissions) {
+  const user = await resolveUser({ metadata: charge.metadata, customer: charge.customer });
+  if (user) return user;
+  return commissions.length > 0 ? db.getUserById(commissions[0].referred_user_id) : null;
+}
+
+// Find the checkout session a one-off payment came from
+async function getChargeCheckoutSession(charge) {
+  if (!charge.payment_intent) return null;
+
+  const sessions = await stripe.checkout.sessions.list({ payment_intent: charge.payment_intent, limit: 1 });
+  return sessions.data[0] || null;
+}
+
+// Take back Pro time paid for by a subscription invoice (the user's own, or a
+// workspace's). Only the current period is affected; refunding an old invoice
+// leaves today's access alone.
+async function revokeSubscriptionTime(user, charge, { fraction, full }) {
+  const invoice = await stripe.invoices.retrieve(charge.invoice);
+  const workspace = await resolveWorkspace({ metadata: invoice.subscription_details?.metadata, customer: invoice.customer });
+  const account = workspace || user;
+  if (!account) {
+    console.log(`⚠️ No user found for reversed invoice ${invoice.id}`);
+    return;
+  }
+
+  const period = invoice.lines.data[0]?.period;
+  if (!period || period.end * 1000 <= Date.now()) {
+    console.log(`ℹ️ Reversed invoice ${invoice.id} is for a past period; access unchanged`);
+    return;
+  }
+
+  if (full) {
+    const subscriptionId = typeof invoice.subscription === 'object' ? invoice.subscription.id : invoice.subscription;
+    if (subscriptionId) {
+      const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+      if (subscription.status !== 'canceled') {
+        await stripe.subscriptions.cancel(subscriptionId, { prorate: false });
+      }
+    }
+
+    await updateBillingState({ workspace, user }, {
+      plan: 'free',
+      status: 'canceled',
+      subscriptionExpires: new Date().toISOString(),
+      cancelAtPeriodEnd: false,
+      gracePeriodEnds: null
+    });
+    console.log(`⛔ Revoked Pro for ${workspace ? `workspace ${workspace.id}` : `user ${user.id}`} after reversal of invoice ${invoice.id}`);
+    return;
+  }
+
+  // Partial: shorten the paid period by the refunded share of it
+  const cutSeconds = Math.round((period.end - period.start) * fraction);
+  const proratedEnd = new Date((period.end - cutSeconds) * 1000);
+  const currentExpiry = account.subscription_expires ? new Date(account.subscription_expires) : null;
+  if (!currentExpiry || proratedEnd < currentExpiry) {
+    await updateBillingState({ workspace, user }, { subscriptionExpires: proratedEnd.toISOString() });
+    console.log(`✂️ Pro for ${workspace ? `workspace ${workspace.id}` : `user ${user.id}`} now ends ${proratedEnd.toISOString()} after partial reversal`);
+  }
+}
+
+// Reverse the commissions on a charge in proportion to the reversed amount.
+// An unpaid (pending or approved) commission that is fully reversed is simply
+// marked reversed; anything else (paid or already in a payout, or a partial
+// reversal) gets a negative clawback entry that nets off the referrer's next
+// payout. Each commission is clawed back up to its share of reversedTotal (all
+// money reversed on the charge so far) less what its clawbacks already hold,
+// so replaying a reversal that failed part way never claws back twice.
+// Resolves to the total clawed back.
+async function reverseCommissions(commissions, { amount, reversedTotal, chargeAmount, full, firstReversal }) {
+  let total = 0;
+
+  for (const commission of commissions) {
+    if (commission.status === 'reversed') continue;
+
+    // Guarded in SQL too, since a payout batch may pick the commission up meanwhile
+    if (full && firstReversal && await db.reverseUnpaidCommission(commission.id)) {
+      total += parseFloat(commission.commission_amount);
+      console.log(`↩️ Reversed ${commission.status} commission ${commission.id}`);
+      continue;
+    }
+
+    // A full reversal takes whatever is left so rounding never over- or under-claws
+    const commissionAmount = parseFloat(commission.commission_amount);
+    const clawedBack = await db.getClawedBackAmount(commission.id);
+    const owed = full ? commissionAmount : Math.min(roundMoney(commissionAmount * reversedTotal / chargeAmount), commissionAmount);
+    const clawback = parseFloat((owed - clawedBack).toFixed(4));
+    if (clawback <= 0) continue;
+
+    await db.createCommissionClawback(commission, roundMoney(amount / 100), clawback);
+    total += clawback;
+    console.log(`↩️ Clawback of £${clawback} recorded against referrer ${commission.referrer_id} (commission ${commission.id})`);
+  }
+
+  return parseFloat(total.toFixed(4));
+}
+
+// Apply `amount` pence of newly reversed money on a charge
+async function reverseCharge(charge, { kind, amount, sourceId }) {
+  const previous = await db.getChargeReversals(charge.id);
+  const alreadyReversed = previous.reduce((sum, reversal) => sum + reversal.amount, 0);
+  amount = Math.min(amount, charge.amount - alreadyReversed);
+  if (amount <= 0) {
+    console.log(`ℹ️ Nothing new to reverse on charge ${charge.id}`);
+    return null;
+  }
+
+  const fraction = amount / charge.amount;
+  const reversedTotal = alreadyReversed + amount;
+  const full = reversedTotal >= charge.amount;
+  const commissions = charge.payment_intent ? await db.getCommissionsByPaymentIntent(charge.payment_intent) : [];
+  const user = await resolveChargeUser(charge, commissions);
+
+  let creditsRevoked = 0;
+  if (charge.invoice) {
+    await revokeSubscriptionTime(user, charge, { fraction, full });
+  } else if (user || charge.customer) {
+    // Credit packs bought for a workspace went into its shared pool
+    const session = await getChargeCheckoutSession(charge);
+    const product = session ? getProduct(session.metadata?.plan) : null;
+    const workspaceId = session?.metadata?.workspaceId || null;
+    const actorId = user ? user.id : session?.metadata?.userId;
+
+    if (product && product.credits > 0 && actorId) {
+      const owed = full
+        ? product.credits
+        : Math.round(product.credits * reversedTotal / charge.amount);
+      // Counted from the ledger rather than the reversal log, so credits an
+      // earlier attempt took before failing are not taken again on replay
+      const alreadyRevoked = await db.getRevokedCredits(charge.id);
+      creditsRevoked = await db.revokeReportCredits(actorId, Math.max(0, owed - alreadyRevoked), {
+        reference: charge.id,
+        workspaceId,
+        note: `${kind === 'dispute' ? 'Disputed' : 'Refunded'} ${product.name}`
+      });
+      console.log(`⛔ Revoked ${creditsRevoked} unspent credits from ${workspaceId ? `workspace ${workspaceId}` : `user ${actorId}`}`);
+    }
+  } else {
+    console.log(`⚠️ No user found for reversed charge ${charge.id}`);
+  }
+
+  const commissionClawback = await reverseCommissions(commissions, {
+    amount,
+    reversedTotal,
+    chargeAmount: charge.amount,
+    full,
+    firstReversal: previous.length === 0
+  });
+
+  await db.recordPaymentReversal({
+    chargeId: charge.id,
+    paymentIntentId: charge.payment_intent,
+    userId: user ? user.id : null,
+    kind,
+    sourceId,
+    amount,
+    chargeAmount: charge.amount,
+    creditsRevoked,
+    commissionClawback
+  });
+
+  console.log(`✅ Reconciled ${kind} of ${amount} on charge ${charge.id}`);
+  return { amount, full, creditsRevoked, commissionClawback };
+}
+
+// charge.refunded: amount_refunded is cumulative, so only the unseen part is applied
+async function handleChargeRefunded(charge) {
+  const previous = await db.getChargeReversals(charge.id);
+  const refundedBefore = previous
+    .filter(reversal => reversal.kind === 'refund')
+    .reduce((sum, reversal) => sum + reversal.amount, 0);
+
+  return reverseCharge(charge, {
+    kind: 'refund',
+    amount: charge.amount_refunded - refundedBefore,
+    sourceId: charge.refunds?.data?.[0]?.id || null
+  });
+}
+
+// charge.dispute.created: treat the disputed amount as reversed straight away
+async function handleDisputeCreated(dispute) {
+  const previous = await db.getChargeReversals(dispute.charge);
+  if (previous.some(reversal => reversal.source_id === dispute.id)) {
+    console.log(`ℹ️ Dispute ${dispute.id} already reconciled`);
+    return null;
+  }
+
+  const charge = await stripe.charges.retrieve(dispute.charge);
+  return reverseCharge(charge, { kind: 'dispute', amount: dispute.amount, sourceId: dispute.id });
+}
+
+module.exports = {
+  handleChargeRefunded,
+  handleDisputeCreated
+};
@@ -0,0 +1,19 @@
+// billing/stripeClient.js
+// Shared Stripe client. Set STRIPE_API_BASE (e.g. http://localhost:12111) to
+// point it at stripe-mock or another Stripe-compatible server in development.
+const Stripe = require('stripe');
+
+function buildOptions(apiBase) {
+  if (!apiBase) return {};
+
+  const url = new URL(apiBase);
+  return {
+    host: url.hostname,
+    port: url.port || (url.protocol === 'https:' ? 443 : 80),
+    protocol: url.protocol.replace(':', '')
+  };
+}
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY, buildOptions(process.env.STRIPE_API_BASE));
+
+module.exports = stripe;
@@ -0,0 +1,190 @@
+// billing/subscriptions.js
+// Keeps each user's plan in step with their Stripe subscription. Stripe is the
+// source of truth: plan and expiry are re-derived from the subscription's
+// status and current_period_end on every event rather than counted locally.
+// Workspace subscriptions (metadata.workspaceId) are per seat and update the
+// workspace instead of the user who bought them.
+const stripe = require('./stripeClient');
+const db = require('../database');
+
+// While Stripe is still retrying a failed renewal, Pro stays on until this many
+// days after the next scheduled retry
+const GRACE_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS || '3');
+
+const ACTIVE_STATUSES = ['active', 'trialing'];
+
+function toISODate(unixSeconds) {
+  return unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+function stripeId(value) {
+  return value && typeof value === 'object' ? value.id : value;
+}
+
+// Find our user for a Stripe object: metadata.userId (set at checkout) first,
+// then the customer id stored on the user
+async function resolveUser({ metadata, customer } = {}) {
+  if (metadata?.userId) {
+    const user = await db.getUserById(metadata.userId);
+    if (user) return user;
+  }
+
+  const customerId = stripeId(customer);
+  return customerId ? db.getUserByStripeCustomerId(customerId) : null;
+}
+
+// Find the workspace a Stripe object bills for: metadata.workspaceId (set at
+// checkout) first, then the customer id stored on the workspace
+async function resolveWorkspace({ metadata, customer } = {}) {
+  if (metadata?.workspaceId) {
+    const workspace = await db.getWorkspaceById(metadata.workspaceId);
+    if (workspace) return workspace;
+  }
+
+  const customerId = stripeId(customer);
+  return customerId ? db.getWorkspaceByStripeCustomerId(customerId) : null;
+}
+
+// Write subscription fields to the workspace when there is one, otherwise to the user
+function updateBillingState({ workspace, user }, state) {
+  return workspace
+    ? db.updateWorkspaceSubscriptionState(workspace.id, state)
+    : db.updateSubscriptionState(user.id, state);
+}
+
+function describeAccount({ workspace, user }) {
+  return workspace ? `workspace ${workspace.id}` : `user ${user.id}`;
+}
+
+// Apply a subscription's current state to its user or workspace. Resolves to
+// the user who bought it, or null if unknown.
+async function syncSubscription(subscription, user = null) {
+  user = user || await resolveUser(subscription);
+  const workspace = await resolveWorkspace(subscription);
+  if (!user && !workspace) {
+    console.log(`⚠️ No user found for subscription ${subscription.id}`);
+    return null;
+  }
+
+  if (workspace) {
+    await db.updateWorkspaceStripeCustomer(workspace.id, stripeId(subscription.customer), subscription.id);
+  } else {
+    await db.updateStripeCustomer(user.id, stripeId(subscription.customer), subscription.id);
+  }
+
+  const state = {
+    status: subscription.status,
+    cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+    trialEnds: toISODate(subscription.trial_end)
+  };
+
+  if (ACTIVE_STATUSES.includes(subscription.status)) {
+    state.plan = 'pro';
+    state.subscriptionExpires = toISODate(subscription.current_period_end);
+    state.gracePeriodEnds = null;
+    state.failedPaymentAttempts = 0;
+  } else if (subscription.status === 'past_due') {
+    // Stripe is retrying; keep whatever grace period invoice.payment_failed granted
+    state.plan = 'pro';
+  } else {
+    // canceled, unpaid, incomplete, incomplete_expired or paused
+    state.plan = 'free';
+    state.subscriptionExpires = toISODate(subscription.ended_at) || new Date().toISOString();
+    state.gracePeriodEnds = null;
+  }
+
+  if (workspace) {
+    state.seats = subscription.items?.data?.[0]?.quantity || 1;
+  }
+
+  await updateBillingState({ workspace, user }, state);
+  console.log(`🔁 Synced subscription ${subscription.id} for ${describeAccount({ workspace, user })}: ${subscription.status}, plan ${state.plan}`);
+  return user;
+}
+
+// checkout.session.completed: link the Stripe customer and, for Pro, sync the new subscription
+async function handleCheckoutCompleted(session) {
+  const user = await resolveUser(session);
+  if (!user) {
+    console.log(`⚠️ No user found for checkout session ${session.id}`);
+    return null;
+  }
+
+  if (session.mode === 'subscription' && session.subscription) {
+    const subscription = await stripe.subscriptions.retrieve(stripeId(session.subscription));
+    await syncSubscription(subscription, user);
+  } else if (session.customer && session.metadata?.workspaceId) {
+    await db.updateWorkspaceStripeCustomer(session.metadata.workspaceId, stripeId(session.customer));
+  } else if (session.customer) {
+    await db.updateStripeCustomer(user.id, stripeId(session.customer));
+  }
+
+  return user;
+}
+
+// invoice.payment_succeeded: a renewal (or recovery from dunning) moves expiry to the new period end
+async function handleInvoicePaid(invoice) {
+  if (!invoice.subscription) return resolveUser(invoice);
+
+  const subscription = await stripe.subscriptions.retrieve(stripeId(invoice.subscription));
+  return syncSubscription(subscription);
+}
+
+// invoice.payment_failed: keep Pro through a grace period while Stripe retries,
+// and downgrade once there are no retries left
+async function handleInvoicePaymentFailed(invoice) {
+  const source = { metadata: invoice.subscription_details?.metadata, customer: invoice.customer };
+  const user = await resolveUser(source);
+  const workspace = await resolveWorkspace(source);
+  if (!user && !workspace) {
+    console.log(`⚠️ No user found for failed invoice ${invoice.id}`);
+    return null;
+  }
+
+  const account = workspace || user;
+  if (invoice.next_payment_attempt) {
+    const graceEnds = new Date((invoice.next_payment_attempt + GRACE_PERIOD_DAYS * 24 * 60 * 60) * 1000);
+    const currentExpiry = account.subscription_expires ? new Date(account.subscription_expires) : null;
+    const expires = currentExpiry && currentExpiry > graceEnds ? currentExpiry : graceEnds;
+
+    await updateBillingState({ workspace, user }, {
+      status: 'past_due',
+      subscriptionExpires: expires.toISOString(),
+      gracePeriodEnds: graceEnds.toISOString(),
+      failedPaymentAttempts: invoice.attempt_count || 1
+    });
+    console.log(`⚠️ Payment failed for ${describeAccount({ workspace, user })} (attempt ${invoice.attempt_count}); Pro kept until ${graceEnds.toISOString()}`);
+  } else {
+    await updateBillingState({ workspace, user }, {
+      plan: 'free',
+      status: 'past_due',
+      subscriptionExpires: new Date().toISOString(),
+      gracePeriodEnds: null,
+      failedPaymentAttempts: invoice.attempt_count || 1
+    });
+    console.log(`❌ Payment retries exhausted for ${describeAccount({ workspace, user })}; downgraded to free`);
+  }
+
+  return user;
+}
+
+// customer.subscription.trial_will_end: Stripe sends this three days before the trial ends
+async function handleTrialWillEnd(subscription) {
+  const user = await syncSubscription(subscription);
+  if (user) {
+    console.log(`⏳ Trial for subscription ${subscription.id} (user ${user.id}) ends ${toISODate(subscription.trial_end)}`);
+  }
+  return user;
+}
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  resolveUser,
+  resolveWorkspace,
+  updateBillingState,
+  syncSubscription,
+  handleCheckoutCompleted,
+  handleInvoicePaid,
+  handleInvoicePaymentFailed,
+  handleTrialWillEnd
+};
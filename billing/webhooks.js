@@ -0,0 +1,147 @@
+// billing/webhooks.js
+// Stripe webhook processing. Every event is logged in stripe_events before it
+// is handled, so retried deliveries are skipped and failed ones can be replayed
+// (see scripts/stripe-events.js and /api/admin/stripe-events).
+const db = require('../database');
+const {
+  syncSubscription,
+  handleCheckoutCompleted,
+  handleInvoicePaid,
+  handleInvoicePaymentFailed,
+  handleTrialWillEnd
+} = require('./subscriptions');
+const { getProduct } = require('./catalog');
+const { handleChargeRefunded, handleDisputeCreated } = require('./reversals');
+const { redeemCheckoutPromo, releaseCheckoutPromo, attributePromoAffiliate } = require('./promos');
+const { createReceiptForCheckout, createReceiptForInvoice } = require('./receipts');
+const { processAffiliateCommission, processSubscriptionCommission } = require('./commissions');
+const { syncConnectAccount } = require('./connect');
+
+// Apply a single event to our data
+async function handleStripeEvent(event) {
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      const session = event.data.object;
+      let user = await handleCheckoutCompleted(session);
+      if (user) {
+        user = await redeemCheckoutPromo(session, user);
+      }
+      const product = getProduct(session.metadata?.plan);
+      const credits = product ? product.credits : 0;
+
+      if (!product) {
+        console.log(`⚠️ Checkout session ${session.id} has unknown plan ${session.metadata?.plan}`);
+      }
+
+      // Packs bought for a workspace go into its shared pool. Granted once per
+      // session, so replaying an event that failed after this point is safe.
+      const workspaceId = session.metadata?.workspaceId || null;
+      if (user && session.mode === 'payment' && credits > 0) {
+        if (await db.addReportCredits(user.id, credits, 'purchase', { reference: session.id, workspaceId })) {
+          console.log(`✅ Added ${credits} report credits to ${workspaceId ? `workspace ${workspaceId}` : `user ${user.id}`}`);
+        } else {
+          console.log(`🔁 Credits for checkout session ${session.id} already added`);
+        }
+      }
+
+      // Subscription receipts and commissions come from their invoices, including the first one
+      if (user && session.mode === 'payment') {
+        await createReceiptForCheckout(session, user);
+        await processAffiliateCommission(session, user);
+      }
+      break;
+    }
+
+    case 'checkout.session.expired':
+      await releaseCheckoutPromo(event.data.object);
+      break;
+
+    case 'invoice.payment_succeeded': {
+      const invoice = event.data.object;
+      let user = await handleInvoicePaid(invoice);
+      if (user) {
+        await createReceiptForInvoice(invoice, user);
+      }
+      if (user && invoice.subscription) {
+        // The first invoice can arrive before checkout.session.completed, so
+        // attribute an affiliate promo code here too
+        const promoCode = invoice.subscription_details?.metadata?.promoCode;
+        if (promoCode) {
+          user = await attributePromoAffiliate(promoCode, user);
+        }
+        await processSubscriptionCommission(invoice, user);
+      }
+      break;
+    }
+
+    case 'invoice.payment_failed':
+      await handleInvoicePaymentFailed(event.data.object);
+      break;
+
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+      await syncSubscription(event.data.object);
+      break;
+
+    case 'customer.subscription.trial_will_end':
+      await handleTrialWillEnd(event.data.object);
+      break;
+
+    case 'charge.refunded':
+      await handleChargeRefunded(event.data.object);
+      break;
+
+    case 'charge.dispute.created':
+      await handleDisputeCreated(event.data.object);
+      break;
+
+    // Sent for affiliates' Connect accounts as they go through onboarding
+    case 'account.updated':
+      await syncConnectAccount(event.data.object);
+      break;
+
+    default:
+      console.log(`Unhandled event type ${event.type}`);
+  }
+}
+
+// Run an event at most once. Resolves to { status: 'processed' } or
+// { status: 'duplicate' } if it was already handled (or is being handled);
+// rejects, leaving the event marked failed, if the handler throws.
+// With { replay: true } a failed or stuck event is run again.
+async function processStripeEvent(event, { replay = false } = {}) {
+  const claimed = await db.claimStripeEvent(event, replay ? ['failed', 'processing'] : ['failed']);
+  if (!claimed) {
+    console.log(`🔁 Skipping duplicate Stripe event ${event.id} (${event.type})`);
+    return { status: 'duplicate' };
+  }
+
+  try {
+    await handleStripeEvent(event);
+    await db.markStripeEventProcessed(event.id);
+    return { status: 'processed' };
+  } catch (error) {
+    await db.markStripeEventFailed(event.id, error.message || String(error));
+    throw error;
+  }
+}
+
+// Replay a logged event from its stored payload
+async function replayStripeEvent(eventId) {
+  const record = await db.getStripeEvent(eventId);
+  if (!record) {
+    throw new Error(`Stripe event ${eventId} not found`);
+  }
+  if (record.status === 'processed') {
+    return { status: 'duplicate' };
+  }
+
+  console.log(`🔁 Replaying Stripe event ${eventId} (${record.type})`);
+  return processStripeEvent(record.payload, { replay: true });
+}
+
+module.exports = {
+  processStripeEvent,
+  replayStripeEvent
+};
@@ -141,8 +141,280 @@ function initializeDatabase() {
               return;
             }
             
-            console.log('✅ Database initialized successfully');
-            resolve();
+            // Analyzer reports table (server-side analysis history)
+            createTable('reports', `
+              CREATE TABLE IF NOT EXISTS reports (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                title TEXT,
+                file_name TEXT,
+                file_size INTEGER,
+                mime_type TEXT,
+                caption TEXT,
+                transcript TEXT,
+                feedback TEXT NOT NULL,
+                overall_score INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id)
+              )
+            `)
+              .then(() => addColumn('reports', 'metrics TEXT'))
+              .then(() => addColumn('reports', 'transcript_segments TEXT'))
+              .then(() => addColumn('reports', 'hook TEXT'))
+              .then(() => addColumn('reports', 'timeline TEXT'))
+              .then(() => addColumn('users', 'free_analyses_used INTEGER DEFAULT 0'))
+              .then(() => createTable('jobs', `
+                CREATE TABLE IF NOT EXISTS jobs (
+                  id TEXT PRIMARY KEY,
+                  user_id INTEGER,
+                  stage TEXT DEFAULT 'queued',
+                  progress INTEGER DEFAULT 0,
+                  file_path TEXT,
+                  file_name TEXT,
+                  file_size INTEGER,
+                  mime_type TEXT,
+                  caption TEXT,
+                  result TEXT,
+                  report_id INTEGER,
+                  error TEXT,
+                  attempts INTEGER DEFAULT 0,
+                  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  FOREIGN KEY (user_id) REFERENCES users (id),
+                  FOREIGN KEY (report_id) REFERENCES reports (id)
+                )
+              `))
+              .then(() => addColumn('jobs', 'entitlement TEXT'))
+              .then(() => createTable('credit_transactions', `
+                CREATE TABLE IF NOT EXISTS credit_transactions (
+                  id INTEGER PRIMARY KEY AUTOINCREMENT,
+                  user_id INTEGER NOT NULL,
+                  type TEXT NOT NULL,
+                  amount INTEGER NOT NULL,
+                  balance_after INTEGER,
+                  job_id TEXT,
+                  report_id INTEGER,
+                  reference TEXT,
+                  note TEXT,
+                  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  FOREIGN KEY (user_id) REFERENCES users (id),
+                  FOREIGN KEY (report_id) REFERENCES reports (id)
+                )
+              `))
+              .then(backfillOpeningCreditBalances)
+              .then(() => addColumn('users', 'stripe_customer_id TEXT'))
+              .then(() => addColumn('users', 'stripe_subscription_id TEXT'))
+              .then(() => addColumn('users', 'subscription_status TEXT'))
+              .then(() => addColumn('users', 'cancel_at_period_end INTEGER DEFAULT 0'))
+              .then(() => addColumn('users', 'trial_ends DATETIME'))
+              .then(() => addColumn('users', 'grace_period_ends DATETIME'))
+              .then(() => addColumn('users', 'failed_payment_attempts INTEGER DEFAULT 0'))
+              .then(() => createTable('stripe_events', `
+                CREATE TABLE IF NOT EXISTS stripe_events (
+                  id TEXT PRIMARY KEY,
+                  type TEXT NOT NULL,
+                  payload TEXT NOT NULL,
+                  status TEXT DEFAULT 'processing',
+                  error TEXT,
+                  attempts INTEGER DEFAULT 0,
+                  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  processed_at DATETIME
+                )
+              `))
+              .then(() => addColumn('commissions', "kind TEXT DEFAULT 'sale'"))
+              .then(() => addColumn('commissions', 'reverses_commission_id INTEGER'))
+              .then(() => createTable('payment_reversals', `
+                CREATE TABLE IF NOT EXISTS payment_reversals (
+                  id INTEGER PRIMARY KEY AUTOINCREMENT,
+                  charge_id TEXT NOT NULL,
+                  payment_intent_id TEXT,
+                  user_id INTEGER,
+                  kind TEXT NOT NULL,
+                  source_id TEXT,
+                  amount INTEGER NOT NULL,
+                  charge_amount INTEGER NOT NULL,
+                  credits_revoked INTEGER DEFAULT 0,
+                  commission_clawback DECIMAL(10,2) DEFAULT 0,
+                  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  FOREIGN KEY (user_id) REFERENCES users (id)
+                )
+              `))
+              .then(() => createTable('promo_codes', `
+                CREATE TABLE IF NOT EXISTS promo_codes (
+                  id INTEGER PRIMARY KEY AUTOINCREMENT,
+                  code TEXT UNIQUE NOT NULL,
+                  type TEXT NOT NULL,
+                  value INTEGER NOT NULL,
+                  products TEXT,
+                  description TEXT,
+                  expires_at DATETIME,
+                  max_redemptions INTEGER,
+                  per_user_limit INTEGER DEFAULT 1,
+                  redemptions_count INTEGER DEFAULT 0,
+                  affiliate_id INTEGER,
+                  stripe_coupon_id TEXT,
+                  active INTEGER DEFAULT 1,
+                  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  FOREIGN KEY (affiliate_id) REFERENCES users (id)
+                )
+              `))
+              .then(() => createTable('promo_redemptions', `
+                CREATE TABLE IF NOT EXISTS promo_redemptions (
+                  id INTEGER PRIMARY KEY AUTOINCREMENT,
+                  promo_code_id INTEGER NOT NULL,
+                  user_id INTEGER NOT NULL,
+                  checkout_session_id TEXT UNIQUE,
+                  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  FOREIGN KEY (promo_code_id) REFERENCES promo_codes (id),
+                  FOREIGN KEY (user_id) REFERENCES users (id)
+                )
+              `))
+              .then(() => createTable('workspaces', `
+                CREATE TABLE IF NOT EXISTS workspaces (
+                  id INTEGER PRIMARY KEY AUTOINCREMENT,
+                  name TEXT NOT NULL,
+                  owner_id INTEGER NOT NULL,
+                  plan TEXT DEFAULT 'free',
+                  subscription_expires DATETIME,
+                  subscription_status TEXT,
+                  cancel_at_period_end INTEGER DEFAULT 0,
+                  trial_ends DATETIME,
+                  grace_period_ends DATETIME,
+                  failed_payment_attempts INTEGER DEFAULT 0,
+                  seats INTEGER DEFAULT 1,
+                  report_credits INTEGER DEFAULT 0,
+                  stripe_customer_id TEXT,
+                  stripe_subscription_id TEXT,
+                  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  FOREIGN KEY (owner_id) REFERENCES users (id)
+                )
+              `))
+              .then(() => createTable('workspace_members', `
+                CREATE TABLE IF NOT EXISTS workspace_members (
+                  id INTEGER PRIMARY KEY AUTOINCREMENT,
+                  workspace_id INTEGER NOT NULL,
+                  user_id INTEGER NOT NULL,
+                  role TEXT NOT NULL DEFAULT 'member',
+                  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  UNIQUE (workspace_id, user_id),
+                  FOREIGN KEY (workspace_id) REFERENCES workspaces (id),
+                  FOREIGN KEY (user_id) REFERENCES users (id)
+                )
+              `))
+              .then(() => createTable('workspace_invites', `
+                CREATE TABLE IF NOT EXISTS workspace_invites (
+                  id INTEGER PRIMARY KEY AUTOINCREMENT,
+                  workspace_id INTEGER NOT NULL,
+                  email TEXT NOT NULL,
+                  role TEXT NOT NULL DEFAULT 'member',
+                  token TEXT UNIQUE NOT NULL,
+                  invited_by INTEGER,
+                  status TEXT DEFAULT 'pending',
+                  expires_at DATETIME NOT NULL,
+                  accepted_at DATETIME,
+                  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  FOREIGN KEY (workspace_id) REFERENCES workspaces (id),
+                  FOREIGN KEY (invited_by) REFERENCES users (id)
+                )
+              `))
+              .then(() => addColumn('users', 'active_workspace_id INTEGER'))
+              .then(() => addColumn('reports', 'workspace_id INTEGER'))
+              .then(() => addColumn('jobs', 'workspace_id INTEGER'))
+              .then(() => addColumn('credit_transactions', 'workspace_id INTEGER'))
+              .then(() => addColumn('users', 'billing_name TEXT'))
+              .then(() => addColumn('users', 'company_name TEXT'))
+              .then(() => addColumn('users', 'vat_number TEXT'))
+              .then(() => addColumn('users', 'billing_address TEXT'))
+              .then(() => createTable('receipts', `
+                CREATE TABLE IF NOT EXISTS receipts (
+                  id INTEGER PRIMARY KEY AUTOINCREMENT,
+                  number TEXT UNIQUE,
+                  user_id INTEGER NOT NULL,
+                  workspace_id INTEGER,
+                  source_type TEXT NOT NULL,
+                  source_id TEXT UNIQUE NOT NULL,
+                  payment_intent_id TEXT,
+                  description TEXT,
+                  items TEXT,
+                  subtotal INTEGER NOT NULL,
+                  discount INTEGER DEFAULT 0,
+                  amount INTEGER NOT NULL,
+                  currency TEXT NOT NULL,
+                  vat_rate DECIMAL(5,2) DEFAULT 0,
+                  vat_amount INTEGER DEFAULT 0,
+                  customer_name TEXT,
+                  customer_email TEXT,
+                  company_name TEXT,
+                  vat_number TEXT,
+                  billing_address TEXT,
+                  paid_at DATETIME,
+                  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  FOREIGN KEY (user_id) REFERENCES users (id)
+                )
+              `))
+              .then(() => createTable('usage_events', `
+                CREATE TABLE IF NOT EXISTS usage_events (
+                  id INTEGER PRIMARY KEY AUTOINCREMENT,
+                  user_id INTEGER NOT NULL,
+                  workspace_id INTEGER,
+                  metric TEXT NOT NULL,
+                  quantity REAL NOT NULL,
+                  reference TEXT,
+                  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  UNIQUE (metric, reference),
+                  FOREIGN KEY (user_id) REFERENCES users (id)
+                )
+              `))
+              .then(() => addColumn('commissions', 'product_id TEXT'))
+              .then(() => addColumn('commissions', 'commission_rate DECIMAL(5,4)'))
+              .then(() => addColumn('commissions', 'commission_rule TEXT'))
+              .then(() => addColumn('commissions', 'hold_until DATETIME'))
+              .then(() => addColumn('commissions', 'approved_at DATETIME'))
+              .then(() => addColumn('commissions', 'reviewed_by INTEGER'))
+              .then(() => addColumn('commissions', 'review_note TEXT'))
+              .then(() => addColumn('commissions', 'payout_id INTEGER'))
+              .then(() => addColumn('affiliate_payouts', 'idempotency_key TEXT'))
+              .then(() => addColumn('affiliate_payouts', 'attempts INTEGER DEFAULT 0'))
+              .then(() => addColumn('affiliate_payouts', 'error TEXT'))
+              .then(() => addColumn('users', 'stripe_charges_enabled INTEGER DEFAULT 0'))
+              .then(() => addColumn('users', 'stripe_payouts_enabled INTEGER DEFAULT 0'))
+              .then(() => addColumn('users', 'stripe_details_submitted INTEGER DEFAULT 0'))
+              .then(() => addColumn('users', 'stripe_requirements TEXT'))
+              .then(() => addColumn('users', 'stripe_account_synced_at DATETIME'))
+              .then(() => addColumn('promo_redemptions', "status TEXT DEFAULT 'redeemed'"))
+              .then(() => createTable('commission_overrides', `
+                CREATE TABLE IF NOT EXISTS commission_overrides (
+                  id INTEGER PRIMARY KEY AUTOINCREMENT,
+                  affiliate_id INTEGER NOT NULL,
+                  product_id TEXT,
+                  rate DECIMAL(5,4) NOT NULL,
+                  recurring_months INTEGER,
+                  note TEXT,
+                  created_by INTEGER,
+                  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  FOREIGN KEY (affiliate_id) REFERENCES users (id)
+                )
+              `))
+              .then(() => createTable('referral_clicks', `
+                CREATE TABLE IF NOT EXISTS referral_clicks (
+                  id INTEGER PRIMARY KEY AUTOINCREMENT,
+                  affiliate_id INTEGER NOT NULL,
+                  landing_page TEXT,
+                  ip_hash TEXT,
+                  user_agent TEXT,
+                  referer TEXT,
+                  signup_user_id INTEGER,
+                  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  FOREIGN KEY (affiliate_id) REFERENCES users (id),
+                  FOREIGN KEY (signup_user_id) REFERENCES users (id)
+                )
+              `))
+              .then(() => {
+                console.log('✅ Database initialized successfully');
+                resolve();
+              })
+              .catch(reject);
           });
         });
       });
@@ -150,6 +422,98 @@ function initializeDatabase() {
   });
 }
 
+// Create a table, logging failures the same way as the core tables above
+function createTable(name, sql) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, (err) => {
+      if (err) {
+        console.error(`Error creating ${name} table:`, err);
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// Add a column to an existing table, ignoring the error if it is already there
+function addColumn(table, definition) {
+  return new Promise((resolve, reject) => {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`, (err) => {
+      if (err && !err.message.includes('duplicate column name')) {
+        console.error(`Error adding ${table}.${definition.split(' ')[0]} column:`, err);
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// Run statements one after another inside a single write transaction, rolling
+// back if any of them fails. steps are [sql, params] pairs, optionally with
+// { required: true } as a third element: if that statement changes no rows the
+// transaction is rolled back and resolves to null. Otherwise resolves to each
+// step's { changes, lastID }.
+//
+// Transactions use their own connection and run one at a time, so statements
+// issued on `db` meanwhile are never caught up in (or rolled back with) one.
+// Other processes (the server and scripts/) are kept out by SQLite's write
+// lock; the busy timeout makes them wait for it rather than fail.
+const transactionDb = new sqlite3.Database(dbPath);
+db.configure('busyTimeout', 5000);
+transactionDb.configure('busyTimeout', 5000);
+
+let transactionQueue = Promise.resolve();
+
+function runTransaction(steps) {
+  const run = transactionQueue.then(() => executeTransaction(steps));
+  transactionQueue = run.catch(() => {});
+  return run;
+}
+
+function executeTransaction(steps) {
+  return new Promise((resolve, reject) => {
+    const results = [];
+
+    const rollback = (err, value = null) => {
+      transactionDb.run('ROLLBACK', () => (err ? reject(err) : resolve(value)));
+    };
+
+    const runStep = (index) => {
+      if (index === steps.length) {
+        transactionDb.run('COMMIT', (err) => (err ? rollback(err) : resolve(results)));
+        return;
+      }
+
+      const [sql, params, options] = steps[index];
+      transactionDb.run(sql, params || [], function(err) {
+        if (err) {
+          rollback(err);
+          return;
+        }
+        if (options && options.required && this.changes === 0) {
+          rollback(null);
+          return;
+        }
+        results.push({ changes: this.changes, lastID: this.lastID });
+        runStep(index + 1);
+      });
+    };
+
+    transactionDb.run('BEGIN IMMEDIATE', (err) => (err ? reject(err) : runStep(0)));
+  });
+}
+
+// Close both connections once queued transactions have finished, so scripts
+// can exit cleanly
+async function closeDatabase() {
+  await transactionQueue;
+  await Promise.all([db, transactionDb].map(connection => new Promise((resolve, reject) => {
+    connection.close((err) => (err ? reject(err) : resolve()));
+  })));
+}
+
 // Seed default test affiliate user
 function seedDefaultUser() {
   return new Promise((resolve, reject) => {
@@ -272,6 +636,68 @@ function updateStripeAccountId(userId, accountId) {
   });
 }
 
+function getUserByStripeAccountId(accountId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM users WHERE stripe_account_id = ?', [accountId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+// Store what Stripe last told us about a Connect account's onboarding.
+// requirements is stored as JSON. Resolves to whether a user has the account.
+function updateConnectAccountStatus(accountId, { chargesEnabled, payoutsEnabled, detailsSubmitted, requirements }) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE users SET stripe_charges_enabled = ?, stripe_payouts_enabled = ?, stripe_details_submitted = ?,
+              stripe_requirements = ?, stripe_account_synced_at = CURRENT_TIMESTAMP
+       WHERE stripe_account_id = ?`,
+      [chargesEnabled ? 1 : 0, payoutsEnabled ? 1 : 0, detailsSubmitted ? 1 : 0, JSON.stringify(requirements), accountId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+function getUserByStripeCustomerId(customerId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM users WHERE stripe_customer_id = ?', [customerId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+// Remember the user's Stripe customer (and subscription, when there is one)
+function updateStripeCustomer(userId, customerId, subscriptionId = null) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE users SET stripe_customer_id = COALESCE(?, stripe_customer_id),
+       stripe_subscription_id = COALESCE(?, stripe_subscription_id) WHERE id = ?`,
+      [customerId, subscriptionId, userId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
 function updateAvatarUrl(userId, avatarUrl) {
   return new Promise((resolve, reject) => {
     db.run(
@@ -289,11 +715,25 @@ function updateAvatarUrl(userId, avatarUrl) {
 }
 
 // Commission operations
-function createCommission(referrerId, referredUserId, purchaseAmount, commissionAmount, paymentIntentId = null) {
+// rule is the commission rule that produced the amount (see billing/commissions.js),
+// kept on the row so every commission can be explained later. The commission
+// stays pending and can't be paid out until holdDays have passed.
+function createCommission(referrerId, referredUserId, purchaseAmount, commissionAmount, paymentIntentId = null, rule = null, holdDays = 0) {
   return new Promise((resolve, reject) => {
     db.run(
-      'INSERT INTO commissions (referrer_id, referred_user_id, purchase_amount, commission_amount, stripe_payment_intent_id) VALUES (?, ?, ?, ?, ?)',
-      [referrerId, referredUserId, purchaseAmount, commissionAmount, paymentIntentId],
+      `INSERT INTO commissions (referrer_id, referred_user_id, purchase_amount, commission_amount, stripe_payment_intent_id,
+       product_id, commission_rate, commission_rule, hold_until) VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now', ?))`,
+      [
+        referrerId,
+        referredUserId,
+        purchaseAmount,
+        commissionAmount,
+        paymentIntentId,
+        rule ? rule.productId : null,
+        rule ? rule.rate : null,
+        rule ? JSON.stringify(rule) : null,
+        `+${holdDays} days`
+      ],
       function(err) {
         if (err) {
           reject(err);
@@ -370,12 +810,33 @@ function getTotalPendingCommissions(userId) {
   });
 }
 
-// Referral operations
-function getReferrals(userId) {
+// Commission lifecycle: pending (held) -> approved -> paid, or reversed at any
+// point before it is paid. A commission is payable once it is approved and its
+// hold has passed; rows from before holds existed have no hold_until.
+const COMMISSION_STATUSES = ['pending', 'approved', 'paid', 'reversed'];
+const PAYABLE_COMMISSION = `status = 'approved' AND (hold_until IS NULL OR hold_until <= CURRENT_TIMESTAMP)`;
+
+function getCommissionById(commissionId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM commissions WHERE id = ?', [commissionId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+// Commissions in a status for the admin review queue, optionally one affiliate's
+function getCommissionsByStatus(status, affiliateId = null, limit = 50, offset = 0) {
   return new Promise((resolve, reject) => {
     db.all(
-      'SELECT * FROM users WHERE referrer_id = ? ORDER BY created_at DESC',
-      [userId],
+      `SELECT c.*, u.email as referrer_email, u.username as referrer_username
+       FROM commissions c JOIN users u ON u.id = c.referrer_id
+       WHERE c.status = ? AND (? IS NULL OR c.referrer_id = ?)
+       ORDER BY c.created_at ASC, c.id ASC LIMIT ? OFFSET ?`,
+      [status, affiliateId, affiliateId, limit, offset],
       (err, rows) => {
         if (err) {
           reject(err);
@@ -387,138 +848,109 @@ function getReferrals(userId) {
   });
 }
 
-// Payout operations
-function createPayout(userId, amount) {
+function getApprovedCommissions(userId) {
   return new Promise((resolve, reject) => {
-    db.run(
-      'INSERT INTO affiliate_payouts (user_id, amount) VALUES (?, ?)',
-      [userId, amount],
-      function(err) {
+    db.all(
+      `SELECT * FROM commissions WHERE referrer_id = ? AND status = 'approved' ORDER BY created_at DESC`,
+      [userId],
+      (err, rows) => {
         if (err) {
           reject(err);
         } else {
-          resolve(this.lastID);
+          resolve(rows);
         }
       }
     );
   });
 }
 
-function updatePayoutStatus(payoutId, status, stripePayoutId = null) {
+// Commissions recorded before holds existed have no hold_until. Hold the ones
+// not paid yet until holdDays after they were recorded, as new ones are.
+// Resolves to how many were held.
+function holdLegacyCommissions(holdDays) {
   return new Promise((resolve, reject) => {
-    const paidAt = status === 'paid' ? new Date().toISOString() : null;
     db.run(
-      'UPDATE affiliate_payouts SET status = ?, stripe_payout_id = ?, paid_at = ? WHERE id = ?',
-      [status, stripePayoutId, paidAt, payoutId],
+      `UPDATE commissions SET hold_until = datetime(created_at, ?)
+       WHERE hold_until IS NULL AND status IN ('pending', 'approved') AND payout_id IS NULL`,
+      [`+${holdDays} days`],
       function(err) {
         if (err) {
           reject(err);
         } else {
-          resolve(this.changes > 0);
+          resolve(this.changes);
         }
       }
     );
   });
 }
 
-// Leaderboard operations
-function saveAnalysisResult(userId, score) {
+// Approve pending sale commissions whose hold has passed. Pending rows with no
+// hold are left alone until holdLegacyCommissions gives them one. Resolves to
+// how many were approved.
+function approveDueCommissions() {
   return new Promise((resolve, reject) => {
     db.run(
-      'INSERT INTO analysis_results (user_id, score) VALUES (?, ?)',
-      [userId, score],
+      `UPDATE commissions SET status = 'approved', approved_at = CURRENT_TIMESTAMP
+       WHERE status = 'pending' AND hold_until <= CURRENT_TIMESTAMP`,
       function(err) {
         if (err) {
           reject(err);
         } else {
-          resolve(this.lastID);
+          resolve(this.changes);
         }
       }
     );
   });
 }
 
-function getLeaderboard(period = 'daily', limit = 10, includeUserRank = false, currentUserId = null) {
+// An admin's decision on a commission: 'approved' (from pending) or 'reversed'
+// (from pending or approved, and not already in a payout). Rejecting a sale
+// also drops its unpaid clawbacks, which would otherwise be netted against a
+// commission that is never paid. Resolves to whether the commission was in a
+// state that allowed it.
+function reviewCommission(commissionId, status, { reviewedBy, note } = {}) {
+  const from = status === 'approved' ? ['pending'] : ['pending', 'approved'];
+
   return new Promise((resolve, reject) => {
-    let dateFilter = '';
-    let params = [];
-    
-    switch (period) {
-      case 'daily':
-        dateFilter = 'WHERE DATE(ar.created_at) = DATE("now")';
-        break;
-      case 'weekly':
-        dateFilter = 'WHERE strftime("%Y-%W", ar.created_at) = strftime("%Y-%W", "now")';
-        break;
-      case 'alltime':
-        dateFilter = '';
-        break;
-      default:
-        dateFilter = 'WHERE DATE(ar.created_at) = DATE("now")';
-    }
-    
-    // Get top scores with user info
-    const topQuery = `
-      SELECT 
-        u.id as user_id,
-        u.username,
-        u.avatar_url,
-        MAX(ar.score) as score,
-        ROW_NUMBER() OVER (ORDER BY MAX(ar.score) DESC) as rank
-      FROM analysis_results ar
-      JOIN users u ON ar.user_id = u.id
-      ${dateFilter}
-      GROUP BY u.id, u.username, u.avatar_url
-      ORDER BY MAX(ar.score) DESC
-      LIMIT ?
-    `;
-    
-    db.all(topQuery, [limit], (err, topRows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-      
-      let result = { top: topRows };
-      
-      // If user rank is requested and user is not in top results
-      if (includeUserRank && currentUserId) {
-        const userRankQuery = `
-          SELECT 
-            u.id as user_id,
-            u.username,
-            u.avatar_url,
-            MAX(ar.score) as score,
-            ROW_NUMBER() OVER (ORDER BY MAX(ar.score) DESC) as rank
-          FROM analysis_results ar
-          JOIN users u ON ar.user_id = u.id
-          ${dateFilter}
-          GROUP BY u.id, u.username, u.avatar_url
-          HAVING u.id = ?
-        `;
-        
-        db.get(userRankQuery, [currentUserId], (err, userRow) => {
-          if (err) {
-            reject(err);
-            return;
+    db.run(
+      `UPDATE commissions SET status = ?, reviewed_by = ?, review_note = ?,
+       approved_at = CASE WHEN ? = 'approved' THEN CURRENT_TIMESTAMP ELSE approved_at END
+       WHERE id = ? AND payout_id IS NULL AND status IN (${from.map(() => '?').join(', ')})`,
+      [status, reviewedBy || null, note || null, status, commissionId, ...from],
+      function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (this.changes === 0 || status !== 'reversed') {
+          resolve(this.changes > 0);
+          return;
+        }
+
+        db.run(
+          `UPDATE commissions SET status = 'reversed', reviewed_by = ?, review_note = ?
+           WHERE reverses_commission_id = ? AND payout_id IS NULL AND status IN ('pending', 'approved')`,
+          [reviewedBy || null, note || null, commissionId],
+          (err) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(true);
+            }
           }
-          
-          result.userRank = userRow;
-          resolve(result);
-        });
-      } else {
-        resolve(result);
+        );
       }
-    });
+    );
   });
 }
 
-// User plan and credit management functions
-function updateUserPlan(userId, plan, expiryDate) {
+// Reverse a commission outright if nothing has paid it or claimed it for a payout yet
+function reverseUnpaidCommission(commissionId) {
   return new Promise((resolve, reject) => {
     db.run(
-      `UPDATE users SET plan = ?, subscription_expires = ? WHERE id = ?`,
-      [plan, expiryDate, userId],
+      `UPDATE commissions SET status = 'reversed'
+       WHERE id = ? AND payout_id IS NULL AND status IN ('pending', 'approved')`,
+      [commissionId],
       function(err) {
         if (err) {
           reject(err);
@@ -530,69 +962,2139 @@ function updateUserPlan(userId, plan, expiryDate) {
   });
 }
 
-function addReportCredits(userId, credits) {
+// Whether any clawback against a commission has already been netted into a payout
+function hasPaidClawback(commissionId) {
   return new Promise((resolve, reject) => {
-    db.run(
-      `UPDATE users SET report_credits = report_credits + ? WHERE id = ?`,
-      [credits, userId],
-      function(err) {
+    db.get(
+      `SELECT COUNT(*) as count FROM commissions WHERE reverses_commission_id = ? AND status = 'paid'`,
+      [commissionId],
+      (err, row) => {
         if (err) {
           reject(err);
         } else {
-          resolve(this.changes > 0);
+          resolve(row.count > 0);
         }
       }
     );
   });
 }
 
-function useReportCredit(userId) {
+// What an affiliate has earned but can't withdraw yet (locked: pending, or
+// approved but still in its hold) and what the next payout would pay (available)
+function getCommissionBalances(userId) {
   return new Promise((resolve, reject) => {
-    db.run(
-      `UPDATE users SET report_credits = report_credits - 1 WHERE id = ? AND report_credits > 0`,
+    db.get(
+      `SELECT
+         COALESCE(SUM(CASE WHEN ${PAYABLE_COMMISSION} THEN commission_amount END), 0) as available,
+         COALESCE(SUM(CASE WHEN status IN ('pending', 'approved') AND NOT (${PAYABLE_COMMISSION})
+           THEN commission_amount END), 0) as locked,
+         MIN(CASE WHEN status IN ('pending', 'approved') AND NOT (${PAYABLE_COMMISSION}) THEN hold_until END) as next_release_at
+       FROM commissions WHERE referrer_id = ?`,
       [userId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ available: row.available, locked: row.locked, nextReleaseAt: row.next_release_at });
+        }
+      }
+    );
+  });
+}
+
+// Sale commissions recorded for a Stripe payment intent
+function getCommissionsByPaymentIntent(paymentIntentId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM commissions WHERE stripe_payment_intent_id = ? AND COALESCE(kind, 'sale') = 'sale'`,
+      [paymentIntentId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Record a negative commission that nets off the referrer's next payout.
+// Clawbacks are approved straight away; there is nothing to hold.
+function createCommissionClawback(commission, purchaseAmount, clawbackAmount) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO commissions (referrer_id, referred_user_id, purchase_amount, commission_amount,
+       stripe_payment_intent_id, kind, reverses_commission_id, product_id, commission_rate, commission_rule,
+       status, hold_until, approved_at)
+       VALUES (?, ?, ?, ?, ?, 'clawback', ?, ?, ?, ?, 'approved', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+      [
+        commission.referrer_id,
+        commission.referred_user_id,
+        -purchaseAmount,
+        -clawbackAmount,
+        commission.stripe_payment_intent_id,
+        commission.id,
+        commission.product_id || null,
+        commission.commission_rate || null,
+        commission.commission_rule || null
+      ],
       function(err) {
         if (err) {
           reject(err);
         } else {
-          resolve(this.changes > 0);
+          resolve(this.lastID);
         }
       }
     );
   });
 }
 
-function getUserStatus(userId) {
+// How much has already been clawed back from a commission (as a positive amount)
+function getClawedBackAmount(commissionId) {
   return new Promise((resolve, reject) => {
     db.get(
-      `SELECT plan, subscription_expires, report_credits FROM users WHERE id = ?`,
-      [userId],
+      `SELECT COALESCE(-SUM(commission_amount), 0) as total FROM commissions WHERE reverses_commission_id = ?`,
+      [commissionId],
       (err, row) => {
         if (err) {
           reject(err);
         } else {
-          resolve(row);
+          resolve(row.total);
         }
       }
     );
   });
 }
 
-function isSubscriptionActive(userId) {
+// Unpaid clawbacks waiting to be netted against a referrer's next payout
+function getPendingClawbackTotal(userId) {
   return new Promise((resolve, reject) => {
     db.get(
-      `SELECT plan, subscription_expires FROM users WHERE id = ?`,
+      `SELECT COALESCE(SUM(commission_amount), 0) as total FROM commissions
+       WHERE referrer_id = ? AND status IN ('pending', 'approved') AND kind = 'clawback'`,
       [userId],
       (err, row) => {
         if (err) {
           reject(err);
         } else {
-          if (!row || row.plan !== 'pro') {
-            resolve(false);
-            return;
-          }
-          
-          if (!row.subscription_expires) {
+          resolve(row.total);
+        }
+      }
+    );
+  });
+}
+
+// Payment reversal (refund / dispute) log
+
+function recordPaymentReversal(reversal) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO payment_reversals (charge_id, payment_intent_id, user_id, kind, source_id, amount,
+       charge_amount, credits_revoked, commission_clawback) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        reversal.chargeId,
+        reversal.paymentIntentId || null,
+        reversal.userId || null,
+        reversal.kind,
+        reversal.sourceId || null,
+        reversal.amount,
+        reversal.chargeAmount,
+        reversal.creditsRevoked || 0,
+        reversal.commissionClawback || 0
+      ],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      }
+    );
+  });
+}
+
+// Reversals already applied to a charge (amounts in pence)
+function getChargeReversals(chargeId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM payment_reversals WHERE charge_id = ? ORDER BY created_at ASC',
+      [chargeId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Referral operations
+function getReferrals(userId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM users WHERE referrer_id = ? ORDER BY created_at DESC',
+      [userId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Referred users who have paid at least once and not had it all reversed,
+// which is the volume commission tiers are based on
+function countPayingReferrals(affiliateId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT COUNT(DISTINCT referred_user_id) as count FROM commissions
+       WHERE referrer_id = ? AND kind = 'sale' AND status != 'reversed'`,
+      [affiliateId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row.count);
+        }
+      }
+    );
+  });
+}
+
+// Log a visit through an affiliate's referral link. Resolves to the click id.
+function recordReferralClick({ affiliateId, landingPage, ipHash, userAgent, referer }) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO referral_clicks (affiliate_id, landing_page, ip_hash, user_agent, referer)
+       VALUES (?, ?, ?, ?, ?)`,
+      [affiliateId, landingPage, ipHash, userAgent, referer],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      }
+    );
+  });
+}
+
+function getReferralClick(clickId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM referral_clicks WHERE id = ?', [clickId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+// Credit a signup to the click that brought the user in (once)
+function markReferralClickConverted(clickId, userId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE referral_clicks SET signup_user_id = ? WHERE id = ? AND signup_user_id IS NULL',
+      [userId, clickId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Clicks and signups for an affiliate. signups counts every referred user,
+// however they were attributed; click_signups only those that came through a
+// tracked click.
+function getReferralFunnel(affiliateId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT
+         (SELECT COUNT(*) FROM referral_clicks WHERE affiliate_id = ?) as clicks,
+         (SELECT COUNT(DISTINCT ip_hash) FROM referral_clicks WHERE affiliate_id = ?) as unique_visitors,
+         (SELECT COUNT(*) FROM referral_clicks WHERE affiliate_id = ? AND signup_user_id IS NOT NULL) as click_signups,
+         (SELECT COUNT(*) FROM users WHERE referrer_id = ?) as signups`,
+      [affiliateId, affiliateId, affiliateId, affiliateId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      }
+    );
+  });
+}
+
+// Commission overrides for one affiliate, or for everyone
+function getCommissionOverrides(affiliateId = null) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM commission_overrides WHERE (? IS NULL OR affiliate_id = ?) ORDER BY affiliate_id, product_id`,
+      [affiliateId, affiliateId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Set an affiliate's rate for one product (or every product when productId is
+// null), replacing any override already there. Resolves to the new override id.
+function setCommissionOverride(override) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'DELETE FROM commission_overrides WHERE affiliate_id = ? AND product_id IS ?',
+      [override.affiliateId, override.productId || null],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        db.run(
+          `INSERT INTO commission_overrides (affiliate_id, product_id, rate, recurring_months, note, created_by)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            override.affiliateId,
+            override.productId || null,
+            override.rate,
+            override.recurringMonths === undefined ? null : override.recurringMonths,
+            override.note || null,
+            override.createdBy || null
+          ],
+          function(err) {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(this.lastID);
+            }
+          }
+        );
+      }
+    );
+  });
+}
+
+function deleteCommissionOverride(overrideId) {
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM commission_overrides WHERE id = ?', [overrideId], function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.changes > 0);
+      }
+    });
+  });
+}
+
+// Payout operations
+function createPayout(userId, amount) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'INSERT INTO affiliate_payouts (user_id, amount) VALUES (?, ?)',
+      [userId, amount],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      }
+    );
+  });
+}
+
+function updatePayoutStatus(payoutId, status, stripePayoutId = null) {
+  return new Promise((resolve, reject) => {
+    const paidAt = status === 'paid' ? new Date().toISOString() : null;
+    db.run(
+      'UPDATE affiliate_payouts SET status = ?, stripe_payout_id = ?, paid_at = ? WHERE id = ?',
+      [status, stripePayoutId, paidAt, payoutId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Payout lifecycle: pending (batch locked) -> processing (transfer requested)
+// -> paid, or failed (kept with its commissions for a retry)
+const PAYOUT_STATUSES = ['pending', 'processing', 'paid', 'failed'];
+
+// Affiliates with payable commissions not yet in a payout, and how much they
+// come to (possibly below any minimum, or negative after clawbacks). cutoff is
+// the 'YYYY-MM-DD HH:MM:SS' time holds are measured against; includeDuePending
+// also counts pending commissions whose hold has passed, for previewing a run
+// that will approve them first. legacyHoldDays holds commissions that have no
+// hold_until yet from when they were recorded, as holdLegacyCommissions would.
+function getAffiliatesWithPayableCommissions(cutoff, { includeDuePending = false, legacyHoldDays = 0 } = {}) {
+  const statuses = includeDuePending ? "'approved', 'pending'" : "'approved'";
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT u.id, u.email, u.username, u.stripe_account_id,
+              ROUND(SUM(c.commission_amount), 2) as payable_amount, COUNT(c.id) as commission_count
+       FROM commissions c
+       JOIN users u ON u.id = c.referrer_id
+       WHERE c.status IN (${statuses}) AND c.payout_id IS NULL
+         AND COALESCE(c.hold_until, datetime(c.created_at, ?)) <= ?
+       GROUP BY u.id
+       ORDER BY payable_amount DESC`,
+      [`+${legacyHoldDays} days`, cutoff],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// In one transaction: create a pending payout for the affiliate's payable
+// commissions that are not in a payout yet, claim them for it (only rows that
+// are still approved and unclaimed) and set its amount from exactly those
+// rows. Nothing is created below the minimum. Commissions recorded while this
+// runs are left for the next payout. Resolves to the payout, or null.
+async function createPayoutBatch(userId, { minimum, cutoff, idempotencyKey }) {
+  const payable = `referrer_id = ? AND status = 'approved' AND payout_id IS NULL
+    AND (hold_until IS NULL OR hold_until <= ?)`;
+
+  await runTransaction([
+    [
+      `INSERT INTO affiliate_payouts (user_id, amount, status, idempotency_key)
+       SELECT ?, SUM(commission_amount), 'pending', ? FROM commissions WHERE ${payable}
+       GROUP BY referrer_id HAVING SUM(commission_amount) >= ?`,
+      [userId, idempotencyKey, userId, cutoff, minimum]
+    ],
+    [
+      `UPDATE commissions SET payout_id = (SELECT id FROM affiliate_payouts WHERE idempotency_key = ?)
+       WHERE ${payable} AND EXISTS (SELECT 1 FROM affiliate_payouts WHERE idempotency_key = ?)`,
+      [idempotencyKey, userId, cutoff, idempotencyKey]
+    ],
+    [
+      `UPDATE affiliate_payouts SET amount = (SELECT ROUND(SUM(commission_amount), 2) FROM commissions
+       WHERE payout_id = affiliate_payouts.id) WHERE idempotency_key = ?`,
+      [idempotencyKey]
+    ],
+    // A payout that claimed nothing (another run got there first) is dropped
+    [
+      `DELETE FROM affiliate_payouts WHERE idempotency_key = ?
+       AND NOT EXISTS (SELECT 1 FROM commissions WHERE payout_id = affiliate_payouts.id)`,
+      [idempotencyKey]
+    ]
+  ]);
+
+  return getPayoutByIdempotencyKey(idempotencyKey);
+}
+
+function getPayoutByIdempotencyKey(idempotencyKey) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM affiliate_payouts WHERE idempotency_key = ?', [idempotencyKey], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row || null);
+      }
+    });
+  });
+}
+
+// Payouts in a status (newest first), for the admin payout list
+function getPayoutsByStatus(status = null, limit = 50, offset = 0) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT p.*, u.email, u.username FROM affiliate_payouts p JOIN users u ON u.id = p.user_id
+       WHERE (? IS NULL OR p.status = ?) ORDER BY p.id DESC LIMIT ? OFFSET ?`,
+      [status, status, limit, offset],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Payouts that were started but never finished: created, interrupted mid-transfer, or failed
+function getUnfinishedPayouts() {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM affiliate_payouts WHERE status IN ('pending', 'processing', 'failed')
+       AND idempotency_key IS NOT NULL ORDER BY id ASC`,
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Claim a payout for a transfer attempt. attempts is the count the caller
+// last saw, so of two runs racing for the same payout only one gets it.
+// Resolves to false if it is already paid or someone else claimed it.
+function markPayoutProcessing(payoutId, attempts) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE affiliate_payouts SET status = 'processing', attempts = COALESCE(attempts, 0) + 1, error = NULL
+       WHERE id = ? AND status IN ('pending', 'processing', 'failed') AND COALESCE(attempts, 0) = ?`,
+      [payoutId, attempts || 0],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Record the transfer and mark the payout and exactly its commissions paid, together
+async function completePayout(payoutId, transferId) {
+  await runTransaction([
+    [
+      `UPDATE affiliate_payouts SET status = 'paid', stripe_payout_id = ?, paid_at = CURRENT_TIMESTAMP, error = NULL
+       WHERE id = ? AND status != 'paid'`,
+      [transferId, payoutId]
+    ],
+    [
+      `UPDATE commissions SET status = 'paid', paid_at = CURRENT_TIMESTAMP WHERE payout_id = ? AND status = 'approved'`,
+      [payoutId]
+    ]
+  ]);
+}
+
+// Keep the payout (and its amount and commissions) for a retry, with the reason it failed
+function failPayout(payoutId, error) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE affiliate_payouts SET status = 'failed', error = ? WHERE id = ? AND status != 'paid'`,
+      [error, payoutId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+function getPayoutsByUser(userId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM affiliate_payouts WHERE user_id = ? ORDER BY created_at DESC, id DESC',
+      [userId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+function getPayoutById(payoutId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM affiliate_payouts WHERE id = ?', [payoutId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+// Commissions settled by a payout. Payouts made before commissions were
+// linked to them (no idempotency_key) take those marked paid after the payout
+// was created and before the affiliate's next one.
+function getPayoutCommissions(payout) {
+  if (payout.idempotency_key) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM commissions WHERE payout_id = ? ORDER BY created_at ASC, id ASC',
+        [payout.id],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM commissions
+       WHERE referrer_id = ? AND status = 'paid'
+         AND datetime(paid_at) >= datetime(?)
+         AND datetime(paid_at) < COALESCE(
+           (SELECT datetime(MIN(created_at)) FROM affiliate_payouts WHERE user_id = ? AND id > ?),
+           datetime('now', '+1 day'))
+       ORDER BY created_at ASC, id ASC`,
+      [payout.user_id, payout.created_at, payout.user_id, payout.id],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Leaderboard operations
+function saveAnalysisResult(userId, score) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'INSERT INTO analysis_results (user_id, score) VALUES (?, ?)',
+      [userId, score],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      }
+    );
+  });
+}
+
+function getLeaderboard(period = 'daily', limit = 10, includeUserRank = false, currentUserId = null) {
+  return new Promise((resolve, reject) => {
+    let dateFilter = '';
+    let params = [];
+    
+    switch (period) {
+      case 'daily':
+        dateFilter = 'WHERE DATE(ar.created_at) = DATE("now")';
+        break;
+      case 'weekly':
+        dateFilter = 'WHERE strftime("%Y-%W", ar.created_at) = strftime("%Y-%W", "now")';
+        break;
+      case 'alltime':
+        dateFilter = '';
+        break;
+      default:
+        dateFilter = 'WHERE DATE(ar.created_at) = DATE("now")';
+    }
+    
+    // Get top scores with user info
+    const topQuery = `
+      SELECT 
+        u.id as user_id,
+        u.username,
+        u.avatar_url,
+        MAX(ar.score) as score,
+        ROW_NUMBER() OVER (ORDER BY MAX(ar.score) DESC) as rank
+      FROM analysis_results ar
+      JOIN users u ON ar.user_id = u.id
+      ${dateFilter}
+      GROUP BY u.id, u.username, u.avatar_url
+      ORDER BY MAX(ar.score) DESC
+      LIMIT ?
+    `;
+    
+    db.all(topQuery, [limit], (err, topRows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      
+      let result = { top: topRows };
+      
+      // If user rank is requested and user is not in top results
+      if (includeUserRank && currentUserId) {
+        const userRankQuery = `
+          SELECT 
+            u.id as user_id,
+            u.username,
+            u.avatar_url,
+            MAX(ar.score) as score,
+            ROW_NUMBER() OVER (ORDER BY MAX(ar.score) DESC) as rank
+          FROM analysis_results ar
+          JOIN users u ON ar.user_id = u.id
+          ${dateFilter}
+          GROUP BY u.id, u.username, u.avatar_url
+          HAVING u.id = ?
+        `;
+        
+        db.get(userRankQuery, [currentUserId], (err, userRow) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          
+          result.userRank = userRow;
+          resolve(result);
+        });
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+// Analyzer report operations
+function reportInsert(userId, report) {
+  return [
+    `INSERT INTO reports (user_id, workspace_id, title, file_name, file_size, mime_type, caption, transcript, feedback,
+       overall_score, metrics, transcript_segments, hook, timeline)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      report.workspaceId || null,
+      report.title,
+      report.fileName,
+      report.fileSize,
+      report.mimeType,
+      report.caption,
+      report.transcript,
+      JSON.stringify(report.feedback),
+      report.overallScore,
+      report.metrics ? JSON.stringify(report.metrics) : null,
+      report.transcriptSegments ? JSON.stringify(report.transcriptSegments) : null,
+      report.hook ? JSON.stringify(report.hook) : null,
+      report.timeline ? JSON.stringify(report.timeline) : null
+    ]
+  ];
+}
+
+function createReport(userId, report) {
+  const [sql, params] = reportInsert(userId, report);
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.lastID);
+      }
+    });
+  });
+}
+
+// Save an analysis job's report and store its id on the job in one
+// transaction, so a job re-run after a crash can tell its report was already
+// saved. Resolves to the job's report id, which is the existing one if the
+// job already had a report.
+async function createJobReport(jobId, userId, report) {
+  const results = await runTransaction([
+    reportInsert(userId, report),
+    ['UPDATE jobs SET report_id = last_insert_rowid() WHERE id = ? AND report_id IS NULL', [jobId], { required: true }]
+  ]);
+  if (results) return results[0].lastID;
+
+  const job = await getJobById(jobId);
+  return job ? job.report_id : null;
+}
+
+// A user's personal reports, or every report in a workspace when workspaceId is given
+function getReportsByUser(userId, limit = 50, offset = 0, workspaceId = null) {
+  const where = workspaceId ? 'workspace_id = ?' : 'user_id = ? AND workspace_id IS NULL';
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT id, user_id, workspace_id, title, file_name, overall_score, created_at
+       FROM reports WHERE ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [workspaceId || userId, limit, offset],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// A report the user wrote, or one shared in a workspace they belong to
+function getReportById(reportId, userId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM reports WHERE id = ? AND (user_id = ? OR workspace_id IN
+       (SELECT workspace_id FROM workspace_members WHERE user_id = ?))`,
+      [reportId, userId, userId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          if (row) {
+            row.feedback = JSON.parse(row.feedback);
+            for (const column of ['metrics', 'transcript_segments', 'hook', 'timeline']) {
+              row[column] = row[column] ? JSON.parse(row[column]) : null;
+            }
+          }
+          resolve(row);
+        }
+      }
+    );
+  });
+}
+
+// Reports can be deleted by their author or by an owner/admin of their workspace
+function deleteReport(reportId, userId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM reports WHERE id = ? AND (user_id = ? OR workspace_id IN
+       (SELECT workspace_id FROM workspace_members WHERE user_id = ? AND role IN ('owner', 'admin')))`,
+      [reportId, userId, userId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Analysis job operations
+function createJob(job) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO jobs (id, user_id, workspace_id, file_path, file_name, file_size, mime_type, caption, entitlement)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        job.id,
+        job.userId,
+        job.workspaceId || null,
+        job.filePath,
+        job.fileName,
+        job.fileSize,
+        job.mimeType,
+        job.caption,
+        job.entitlement
+      ],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(job.id);
+        }
+      }
+    );
+  });
+}
+
+function getJobById(jobId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM jobs WHERE id = ?', [jobId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        if (row && row.result) {
+          row.result = JSON.parse(row.result);
+        }
+        resolve(row);
+      }
+    });
+  });
+}
+
+function startJobAttempt(jobId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE jobs SET attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [jobId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+function updateJobProgress(jobId, stage, progress) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE jobs SET stage = ?, progress = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [stage, progress, jobId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+function completeJob(jobId, result, reportId = null) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE jobs SET stage = 'done', progress = 100, result = ?, report_id = ?, error = NULL,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [JSON.stringify(result), reportId, jobId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+function failJob(jobId, errorMessage) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE jobs SET stage = 'failed', error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [errorMessage, jobId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+function getUnfinishedJobs() {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM jobs WHERE stage NOT IN ('done', 'failed') ORDER BY created_at ASC`,
+      [],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Promo code functions
+
+// products is stored as a comma separated list of catalog ids (null = every product)
+function parsePromoCode(row) {
+  if (row) {
+    row.products = row.products ? row.products.split(',') : null;
+    row.active = Boolean(row.active);
+  }
+  return row;
+}
+
+function createPromoCode(promo) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO promo_codes (code, type, value, products, description, expires_at, max_redemptions,
+       per_user_limit, affiliate_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        promo.code.toUpperCase(),
+        promo.type,
+        promo.value,
+        promo.products && promo.products.length ? promo.products.join(',') : null,
+        promo.description || null,
+        promo.expiresAt || null,
+        promo.maxRedemptions || null,
+        promo.perUserLimit || 1,
+        promo.affiliateId || null
+      ],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      }
+    );
+  });
+}
+
+function getPromoCodeByCode(code) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM promo_codes WHERE code = ?', [String(code).trim().toUpperCase()], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(parsePromoCode(row));
+      }
+    });
+  });
+}
+
+// List promo codes, optionally only one affiliate's
+function getPromoCodes(affiliateId = null) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM promo_codes WHERE (? IS NULL OR affiliate_id = ?) ORDER BY created_at DESC`,
+      [affiliateId, affiliateId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(parsePromoCode));
+        }
+      }
+    );
+  });
+}
+
+function setPromoCodeActive(promoId, active) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE promo_codes SET active = ? WHERE id = ?',
+      [active ? 1 : 0, promoId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Cache the Stripe coupon that applies a promo's discount at checkout
+function setPromoStripeCoupon(promoId, couponId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE promo_codes SET stripe_coupon_id = ? WHERE id = ?',
+      [couponId, promoId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// How long a checkout holds a promo redemption. Checkout sessions with a promo
+// expire after the same time, so a reservation outlives its session.
+const PROMO_RESERVATION_MINUTES = 60;
+
+// Redemptions that count against a promo's limits: completed checkouts, and
+// reservations for checkouts that could still complete
+const ACTIVE_PROMO_REDEMPTION = `(status = 'redeemed' OR (status = 'reserved' AND created_at > datetime('now', '-${PROMO_RESERVATION_MINUTES} minutes')))`;
+
+// SQL condition (and its params) that holds while the promo can be redeemed
+// once more, overall and by the user
+function promoLimitCondition(promo, userId) {
+  const maxRedemptions = promo.max_redemptions || null;
+  const perUserLimit = promo.per_user_limit || null;
+  return {
+    sql: `(? IS NULL OR (SELECT COUNT(*) FROM promo_redemptions WHERE promo_code_id = ? AND ${ACTIVE_PROMO_REDEMPTION}) < ?)
+      AND (? IS NULL OR (SELECT COUNT(*) FROM promo_redemptions WHERE promo_code_id = ? AND user_id = ? AND ${ACTIVE_PROMO_REDEMPTION}) < ?)`,
+    params: [maxRedemptions, promo.id, maxRedemptions, perUserLimit, promo.id, userId, perUserLimit]
+  };
+}
+
+function countUserPromoRedemptions(promoId, userId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT COUNT(*) as count FROM promo_redemptions WHERE promo_code_id = ? AND user_id = ? AND status = 'redeemed'`,
+      [promoId, userId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row.count);
+        }
+      }
+    );
+  });
+}
+
+// Hold one redemption of the promo for a checkout the user is starting.
+// Resolves to the reservation id, or null if the promo's limits are reached.
+function reservePromoCode(promo, userId) {
+  const limit = promoLimitCondition(promo, userId);
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO promo_redemptions (promo_code_id, user_id, status)
+       SELECT ?, ?, 'reserved' WHERE ${limit.sql}`,
+      [promo.id, userId, ...limit.params],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0 ? this.lastID : null);
+        }
+      }
+    );
+  });
+}
+
+function attachPromoReservation(reservationId, checkoutSessionId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE promo_redemptions SET checkout_session_id = ? WHERE id = ?',
+      [checkoutSessionId, reservationId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// The user's reservations of a promo that still count against its limits
+function getOpenPromoReservations(promoId, userId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM promo_redemptions
+       WHERE promo_code_id = ? AND user_id = ? AND status = 'reserved'
+         AND created_at > datetime('now', '-${PROMO_RESERVATION_MINUTES} minutes')`,
+      [promoId, userId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Give back a reservation whose checkout will not complete
+function releasePromoReservation(reservationId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE promo_redemptions SET status = 'released' WHERE id = ? AND status = 'reserved'`,
+      [reservationId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+function releasePromoReservationForSession(checkoutSessionId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE promo_redemptions SET status = 'released' WHERE checkout_session_id = ? AND status = 'reserved'`,
+      [checkoutSessionId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+function getPromoRedemptionForSession(checkoutSessionId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM promo_redemptions WHERE checkout_session_id = ?',
+      [checkoutSessionId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      }
+    );
+  });
+}
+
+// Count a completed checkout against the promo. A checkout that reserved the
+// promo already passed its limits; one that did not (started before
+// reservations, or after its reservation was released) is checked now.
+// Resolves to 'redeemed', 'duplicate' if this session was already counted, or
+// 'limit_reached'.
+async function redeemPromoCode(promo, userId, checkoutSessionId) {
+  const reserved = await runTransaction([
+    [`UPDATE promo_redemptions SET status = 'redeemed' WHERE checkout_session_id = ? AND status = 'reserved'`,
+      [checkoutSessionId], { required: true }],
+    ['UPDATE promo_codes SET redemptions_count = redemptions_count + 1 WHERE id = ?', [promo.id]]
+  ]);
+  if (reserved) return 'redeemed';
+
+  const limit = promoLimitCondition(promo, userId);
+  const counted = await runTransaction([
+    [`INSERT INTO promo_redemptions (promo_code_id, user_id, checkout_session_id, status)
+      SELECT ?, ?, ?, 'redeemed'
+      WHERE NOT EXISTS (SELECT 1 FROM promo_redemptions WHERE checkout_session_id = ?) AND ${limit.sql}`,
+      [promo.id, userId, checkoutSessionId, checkoutSessionId, ...limit.params], { required: true }],
+    [`UPDATE promo_codes SET redemptions_count = redemptions_count + 1
+      WHERE id = ? AND (max_redemptions IS NULL OR redemptions_count < max_redemptions)`,
+      [promo.id], { required: true }]
+  ]);
+  if (counted) return 'redeemed';
+
+  return (await getPromoRedemptionForSession(checkoutSessionId)) ? 'duplicate' : 'limit_reached';
+}
+
+// Attach a referrer to a user who does not have one yet (never to themselves)
+function setReferrerIfMissing(userId, referrerId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE users SET referrer_id = ? WHERE id = ? AND referrer_id IS NULL AND id != ?',
+      [referrerId, userId, referrerId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Workspace operations
+
+// Create a workspace with its owner as the first member (and first seat)
+function createWorkspace(ownerId, name) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'INSERT INTO workspaces (name, owner_id) VALUES (?, ?)',
+      [name, ownerId],
+      function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const workspaceId = this.lastID;
+        db.run(
+          `INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, 'owner')`,
+          [workspaceId, ownerId],
+          (err) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(workspaceId);
+            }
+          }
+        );
+      }
+    );
+  });
+}
+
+function getWorkspaceById(workspaceId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM workspaces WHERE id = ?', [workspaceId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+function getWorkspaceByStripeCustomerId(customerId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM workspaces WHERE stripe_customer_id = ?', [customerId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+// Workspaces the user belongs to, with their role in each
+function getWorkspacesForUser(userId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT w.id, w.name, w.owner_id, w.plan, w.subscription_expires, w.seats, w.report_credits, m.role,
+       (SELECT COUNT(*) FROM workspace_members WHERE workspace_id = w.id) AS member_count
+       FROM workspace_members m JOIN workspaces w ON w.id = m.workspace_id
+       WHERE m.user_id = ? ORDER BY w.name`,
+      [userId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// seat_number is the member's place in joining order; members past the paid
+// seat count do not get the workspace's Pro plan
+const WORKSPACE_MEMBER_COLUMNS = `m.id, m.workspace_id, m.user_id, m.role, m.created_at, u.email, u.username,
+  (SELECT COUNT(*) FROM workspace_members m2 WHERE m2.workspace_id = m.workspace_id AND m2.id <= m.id) AS seat_number`;
+
+function getWorkspaceMember(workspaceId, userId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT ${WORKSPACE_MEMBER_COLUMNS} FROM workspace_members m JOIN users u ON u.id = m.user_id
+       WHERE m.workspace_id = ? AND m.user_id = ?`,
+      [workspaceId, userId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      }
+    );
+  });
+}
+
+function getWorkspaceMembers(workspaceId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT ${WORKSPACE_MEMBER_COLUMNS} FROM workspace_members m JOIN users u ON u.id = m.user_id
+       WHERE m.workspace_id = ? ORDER BY m.id`,
+      [workspaceId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+function updateWorkspaceMemberRole(workspaceId, userId, role) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE workspace_members SET role = ? WHERE workspace_id = ? AND user_id = ? AND role != 'owner'`,
+      [role, workspaceId, userId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Remove a member (never the owner) and drop the workspace as their active context
+function removeWorkspaceMember(workspaceId, userId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ? AND role != 'owner'`,
+      [workspaceId, userId],
+      function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (this.changes === 0) {
+          resolve(false);
+          return;
+        }
+
+        db.run(
+          'UPDATE users SET active_workspace_id = NULL WHERE id = ? AND active_workspace_id = ?',
+          [userId, workspaceId],
+          (err) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(true);
+            }
+          }
+        );
+      }
+    );
+  });
+}
+
+// Seats taken by members plus invites that are still open
+function countWorkspaceSeatsUsed(workspaceId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT (SELECT COUNT(*) FROM workspace_members WHERE workspace_id = ?) +
+              (SELECT COUNT(*) FROM workspace_invites WHERE workspace_id = ? AND status = 'pending'
+               AND expires_at > CURRENT_TIMESTAMP) AS used`,
+      [workspaceId, workspaceId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row.used);
+        }
+      }
+    );
+  });
+}
+
+function updateWorkspaceStripeCustomer(workspaceId, customerId, subscriptionId = null) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE workspaces SET stripe_customer_id = COALESCE(?, stripe_customer_id),
+       stripe_subscription_id = COALESCE(?, stripe_subscription_id) WHERE id = ?`,
+      [customerId, subscriptionId, workspaceId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Switch the workspace the user's analyses, reports and billing apply to (null for personal)
+function setActiveWorkspace(userId, workspaceId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE users SET active_workspace_id = ? WHERE id = ?',
+      [workspaceId, userId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// expires_at is stored in SQLite's own format so it compares with CURRENT_TIMESTAMP
+function createWorkspaceInvite(invite) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO workspace_invites (workspace_id, email, role, token, invited_by, expires_at)
+       VALUES (?, ?, ?, ?, ?, datetime('now', ?))`,
+      [
+        invite.workspaceId,
+        invite.email.toLowerCase(),
+        invite.role,
+        invite.token,
+        invite.invitedBy,
+        `+${invite.expiresInDays} days`
+      ],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      }
+    );
+  });
+}
+
+function getWorkspaceInviteByToken(token) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT i.*, w.name AS workspace_name FROM workspace_invites i
+       JOIN workspaces w ON w.id = i.workspace_id WHERE i.token = ?`,
+      [token],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      }
+    );
+  });
+}
+
+// Open invites for a workspace (tokens are only ever sent by email)
+function getPendingWorkspaceInvites(workspaceId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT id, email, role, invited_by, expires_at, created_at FROM workspace_invites
+       WHERE workspace_id = ? AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY created_at DESC`,
+      [workspaceId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+function findPendingWorkspaceInvite(workspaceId, email) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM workspace_invites WHERE workspace_id = ? AND email = ? AND status = 'pending'
+       AND expires_at > CURRENT_TIMESTAMP`,
+      [workspaceId, email.toLowerCase()],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      }
+    );
+  });
+}
+
+function revokeWorkspaceInvite(workspaceId, inviteId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE workspace_invites SET status = 'revoked' WHERE id = ? AND workspace_id = ? AND status = 'pending'`,
+      [inviteId, workspaceId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Mark the invite accepted and add the user with the invited role. Resolves to
+// false if the invite was already used.
+function acceptWorkspaceInvite(invite, userId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE workspace_invites SET status = 'accepted', accepted_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [invite.id],
+      function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (this.changes === 0) {
+          resolve(false);
+          return;
+        }
+
+        db.run(
+          'INSERT OR IGNORE INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, ?)',
+          [invite.workspace_id, userId, invite.role],
+          (err) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(true);
+            }
+          }
+        );
+      }
+    );
+  });
+}
+
+// Receipt operations
+
+// Store a receipt for a payment and give it the next number, in one
+// transaction. Resolves to the receipt id, or null if this payment already has
+// one. Numbering also covers receipts stored before this was a transaction
+// that never got a number, so a redelivered webhook repairs them.
+async function createReceipt(receipt, numberPrefix) {
+  const results = await runTransaction([
+    [
+      `INSERT OR IGNORE INTO receipts (user_id, workspace_id, source_type, source_id, payment_intent_id, description,
+       items, subtotal, discount, amount, currency, vat_rate, vat_amount, customer_name, customer_email,
+       company_name, vat_number, billing_address, paid_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        receipt.userId,
+        receipt.workspaceId || null,
+        receipt.sourceType,
+        receipt.sourceId,
+        receipt.paymentIntentId || null,
+        receipt.description,
+        JSON.stringify(receipt.items),
+        receipt.subtotal,
+        receipt.discount || 0,
+        receipt.amount,
+        receipt.currency,
+        receipt.vatRate || 0,
+        receipt.vatAmount || 0,
+        receipt.customerName || null,
+        receipt.customerEmail || null,
+        receipt.companyName || null,
+        receipt.vatNumber || null,
+        receipt.billingAddress || null,
+        receipt.paidAt
+      ]
+    ],
+    // Numbers follow the row id so they are sequential without gaps
+    [`UPDATE receipts SET number = ? || '-' || printf('%06d', id) WHERE number IS NULL`, [numberPrefix]]
+  ]);
+  return results[0].changes > 0 ? results[0].lastID : null;
+}
+
+function parseReceipt(row) {
+  if (row) {
+    row.items = row.items ? JSON.parse(row.items) : [];
+  }
+  return row;
+}
+
+function getReceiptById(receiptId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM receipts WHERE id = ?', [receiptId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(parseReceipt(row));
+      }
+    });
+  });
+}
+
+// A user's own receipts, or a workspace's when workspaceId is given
+function getReceipts(userId, limit = 50, offset = 0, workspaceId = null) {
+  const where = workspaceId ? 'workspace_id = ?' : 'user_id = ? AND workspace_id IS NULL';
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT id, number, description, amount, currency, vat_amount, paid_at, created_at
+       FROM receipts WHERE ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [workspaceId || userId, limit, offset],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Company and VAT details printed on future receipts
+function updateBillingDetails(userId, details) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE users SET billing_name = ?, company_name = ?, vat_number = ?, billing_address = ? WHERE id = ?`,
+      [details.billingName, details.companyName, details.vatNumber, details.billingAddress, userId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Stripe webhook event log functions
+
+// Record an event as 'processing' if we have not seen it, or take it over if
+// its current status is one of reclaimStatuses. Resolves to true if the caller
+// should handle the event, false if it is a duplicate.
+function claimStripeEvent(event, reclaimStatuses = ['failed']) {
+  const placeholders = reclaimStatuses.map(() => '?').join(', ');
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO stripe_events (id, type, payload, status, attempts)
+       VALUES (?, ?, ?, 'processing', 1)
+       ON CONFLICT(id) DO UPDATE SET status = 'processing', attempts = attempts + 1, error = NULL,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE stripe_events.status IN (${placeholders})`,
+      [event.id, event.type, JSON.stringify(event), ...reclaimStatuses],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+function markStripeEventProcessed(eventId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE stripe_events SET status = 'processed', error = NULL, processed_at = CURRENT_TIMESTAMP,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [eventId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+function markStripeEventFailed(eventId, errorMessage) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE stripe_events SET status = 'failed', error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [errorMessage, eventId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+function getStripeEvent(eventId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM stripe_events WHERE id = ?', [eventId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        if (row) {
+          row.payload = JSON.parse(row.payload);
+        }
+        resolve(row);
+      }
+    });
+  });
+}
+
+// List logged events (newest first) without their payloads, optionally by status
+function getStripeEvents(status = null, limit = 50, offset = 0) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT id, type, status, error, attempts, created_at, updated_at, processed_at
+       FROM stripe_events
+       WHERE (? IS NULL OR status = ?)
+       ORDER BY created_at DESC
+       LIMIT ? OFFSET ?`,
+      [status, status, limit, offset],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// User plan and credit management functions
+function updateUserPlan(userId, plan, expiryDate) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE users SET plan = ?, subscription_expires = ? WHERE id = ?`,
+      [plan, expiryDate, userId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Every change to users.report_credits (or a workspace's shared pool in
+// workspaces.report_credits) goes through changeReportCredits so the
+// credit_transactions ledger always explains the balance.
+const CREDIT_TRANSACTION_TYPES = ['purchase', 'consumption', 'refund', 'admin_grant', 'expiry', 'revocation', 'promo_bonus'];
+
+// The balance a credit change applies to: the user's own, or their workspace's
+// pool (ledger entries for a pool keep the user who caused them in user_id)
+function creditAccount(userId, workspaceId) {
+  return workspaceId
+    ? { table: 'workspaces', id: workspaceId, ledgerFilter: 'workspace_id = ?' }
+    : { table: 'users', id: userId, ledgerFilter: 'user_id = ? AND workspace_id IS NULL' };
+}
+
+// Apply a balance change and record it in the ledger, in one transaction so
+// the two can never disagree. `guard` is an extra WHERE clause (e.g. only
+// spend when the balance allows it) with its own guardParams. details.workspaceId
+// moves the workspace pool instead of the user's balance. Resolves to the
+// ledger entry id, or null if the balance was not changed.
+async function changeReportCredits(userId, amount, type, details = {}, guard = '', guardParams = []) {
+  if (!CREDIT_TRANSACTION_TYPES.includes(type)) {
+    throw new Error(`Unknown credit transaction type: ${type}`);
+  }
+
+  const account = creditAccount(userId, details.workspaceId);
+
+  try {
+    const results = await runTransaction([
+      [
+        `UPDATE ${account.table} SET report_credits = COALESCE(report_credits, 0) + ? WHERE id = ? ${guard}`,
+        [amount, account.id, ...guardParams],
+        { required: true }
+      ],
+      [
+        `INSERT INTO credit_transactions (user_id, workspace_id, type, amount, balance_after, job_id, report_id, reference, note)
+         VALUES (?, ?, ?, ?, (SELECT report_credits FROM ${account.table} WHERE id = ?), ?, ?, ?, ?)`,
+        [
+          userId,
+          details.workspaceId || null,
+          type,
+          amount,
+          account.id,
+          details.jobId || null,
+          details.reportId || null,
+          details.reference || null,
+          details.note || null
+        ]
+      ]
+    ]);
+
+    return results ? results[1].lastID : null;
+  } catch (err) {
+    console.error(`Error recording ${type} credit transaction for user ${userId}:`, err);
+    throw err;
+  }
+}
+
+// Add credits. type is 'purchase' (default), 'refund', 'admin_grant' or
+// 'promo_bonus'; details may carry { reference, jobId, reportId, note, workspaceId }.
+// A grant with a reference is applied once per type and reference, so a
+// replayed webhook can't add the same purchase twice; it then resolves to null.
+function addReportCredits(userId, credits, type = 'purchase', details = {}) {
+  if (!details.reference) {
+    return changeReportCredits(userId, credits, type, details);
+  }
+  return changeReportCredits(userId, credits, type, details,
+    'AND NOT EXISTS (SELECT 1 FROM credit_transactions WHERE type = ? AND reference = ?)',
+    [type, details.reference]);
+}
+
+// Spend one credit if the user has any. Resolves to the ledger entry id, or null.
+function useReportCredit(userId, details = {}) {
+  return changeReportCredits(userId, -1, 'consumption', details, 'AND report_credits > 0');
+}
+
+// Expire up to `credits` credits (never below zero)
+function expireReportCredits(userId, credits, note = null, workspaceId = null) {
+  return removeUnspentCredits(userId, credits, 'expiry', { note, workspaceId });
+}
+
+// Take back up to `credits` credits after a refunded or disputed purchase (never below zero)
+function revokeReportCredits(userId, credits, details = {}) {
+  return removeUnspentCredits(userId, credits, 'revocation', details);
+}
+
+// Credits revoked so far under a reference (the reversed charge), from the ledger
+function getRevokedCredits(reference) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT COALESCE(-SUM(amount), 0) as total FROM credit_transactions WHERE type = 'revocation' AND reference = ?`,
+      [reference],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row.total);
+        }
+      }
+    );
+  });
+}
+
+// Remove as many of `credits` as the account still has. Resolves to the number removed.
+function removeUnspentCredits(userId, credits, type, details) {
+  const account = creditAccount(userId, details.workspaceId);
+
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT report_credits FROM ${account.table} WHERE id = ?`, [account.id], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const removing = Math.min(credits, (row && row.report_credits) || 0);
+      if (removing <= 0) {
+        resolve(0);
+        return;
+      }
+
+      changeReportCredits(userId, -removing, type, details, `AND report_credits >= ${removing}`)
+        .then(transactionId => resolve(transactionId ? removing : 0))
+        .catch(reject);
+    });
+  });
+}
+
+// Point a consumption entry at the job (and later the report) it paid for
+function linkCreditTransaction(transactionId, { jobId, reportId }) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE credit_transactions SET job_id = COALESCE(?, job_id), report_id = COALESCE(?, report_id) WHERE id = ?`,
+      [jobId || null, reportId || null, transactionId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Record which report a job's credit ended up paying for
+function linkJobCreditToReport(jobId, reportId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE credit_transactions SET report_id = ? WHERE job_id = ? AND type = 'consumption'`,
+      [reportId, jobId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Ledger entries for the user's own balance, or for a workspace pool
+function getCreditTransactions(userId, limit = 50, offset = 0, workspaceId = null) {
+  const account = creditAccount(userId, workspaceId);
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT id, user_id, type, amount, balance_after, job_id, report_id, reference, note, created_at
+       FROM credit_transactions
+       WHERE ${account.ledgerFilter}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [account.id, limit, offset],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// Compare the stored balance with the sum of the ledger
+function getCreditBalanceSummary(userId, workspaceId = null) {
+  const account = creditAccount(userId, workspaceId);
+
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT a.report_credits AS balance,
+              (SELECT COALESCE(SUM(amount), 0) FROM credit_transactions WHERE ${account.ledgerFilter}) AS ledger_balance
+       FROM ${account.table} a WHERE a.id = ?`,
+      [account.id, account.id],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else if (!row) {
+          resolve(null);
+        } else {
+          const balance = row.balance || 0;
+          resolve({
+            balance,
+            ledgerBalance: row.ledger_balance,
+            reconciled: balance === row.ledger_balance
+          });
+        }
+      }
+    );
+  });
+}
+
+// Users who had credits before the ledger existed get one opening entry so
+// their history adds up to their balance
+function backfillOpeningCreditBalances() {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO credit_transactions (user_id, type, amount, balance_after, note)
+       SELECT id, 'admin_grant', report_credits, report_credits, 'Opening balance'
+       FROM users
+       WHERE report_credits > 0
+         AND id NOT IN (SELECT DISTINCT user_id FROM credit_transactions)`,
+      function(err) {
+        if (err) {
+          console.error('Error backfilling credit ledger:', err);
+          reject(err);
+        } else {
+          if (this.changes > 0) {
+            console.log(`✅ Backfilled opening credit balances for ${this.changes} users`);
+          }
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+// Use one of the free analyses if the user is still under the allowance
+function useFreeAnalysis(userId, allowance) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE users SET free_analyses_used = COALESCE(free_analyses_used, 0) + 1
+       WHERE id = ? AND COALESCE(free_analyses_used, 0) < ?`,
+      [userId, allowance],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Give back a free analysis (e.g. when the analysis itself failed)
+function refundFreeAnalysis(userId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE users SET free_analyses_used = free_analyses_used - 1 WHERE id = ? AND free_analyses_used > 0`,
+      [userId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Columns updateSubscriptionState may touch, keyed by the field names callers use
+const SUBSCRIPTION_STATE_COLUMNS = {
+  plan: 'plan',
+  subscriptionExpires: 'subscription_expires',
+  status: 'subscription_status',
+  cancelAtPeriodEnd: 'cancel_at_period_end',
+  trialEnds: 'trial_ends',
+  gracePeriodEnds: 'grace_period_ends',
+  failedPaymentAttempts: 'failed_payment_attempts'
+};
+
+// Workspaces carry the same subscription fields plus the number of paid seats
+const WORKSPACE_SUBSCRIPTION_STATE_COLUMNS = { ...SUBSCRIPTION_STATE_COLUMNS, seats: 'seats' };
+
+// Update any subset of the user's subscription fields; keys left undefined are not touched
+function updateSubscriptionState(userId, state) {
+  return updateSubscriptionColumns('users', SUBSCRIPTION_STATE_COLUMNS, userId, state);
+}
+
+function updateWorkspaceSubscriptionState(workspaceId, state) {
+  return updateSubscriptionColumns('workspaces', WORKSPACE_SUBSCRIPTION_STATE_COLUMNS, workspaceId, state);
+}
+
+function updateSubscriptionColumns(table, columns, id, state) {
+  const fields = Object.keys(columns).filter(key => state[key] !== undefined);
+  if (fields.length === 0) {
+    return Promise.resolve(false);
+  }
+
+  const assignments = fields.map(key => `${columns[key]} = ?`).join(', ');
+  const values = fields.map(key => (typeof state[key] === 'boolean' ? (state[key] ? 1 : 0) : state[key]));
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE ${table} SET ${assignments} WHERE id = ?`,
+      [...values, id],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+function getUserStatus(userId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT plan, subscription_expires, report_credits, free_analyses_used, subscription_status,
+       cancel_at_period_end, trial_ends, grace_period_ends FROM users WHERE id = ?`,
+      [userId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      }
+    );
+  });
+}
+
+function isSubscriptionActive(userId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT plan, subscription_expires FROM users WHERE id = ?`,
+      [userId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          if (!row || row.plan !== 'pro') {
+            resolve(false);
+            return;
+          }
+          
+          if (!row.subscription_expires) {
             resolve(false);
             return;
           }
@@ -606,16 +3108,85 @@ function isSubscriptionActive(userId) {
   });
 }
 
+// Usage metering
+
+// Record metered usage. A reference (job id, request id) makes the record
+// idempotent, so a retried analysis isn't counted twice. Resolves to whether
+// it was recorded.
+function recordUsageEvent(userId, metric, quantity, { workspaceId = null, reference = null } = {}) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT OR IGNORE INTO usage_events (user_id, workspace_id, metric, quantity, reference)
+       VALUES (?, ?, ?, ?, ?)`,
+      [userId, workspaceId, metric, quantity, reference],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+// Total usage per metric since a UTC 'YYYY-MM-DD HH:MM:SS' timestamp
+function getUsageTotals(userId, since) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT metric, SUM(quantity) as total FROM usage_events
+       WHERE user_id = ? AND created_at >= ? GROUP BY metric`,
+      [userId, since],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(Object.fromEntries(rows.map(row => [row.metric, row.total])));
+        }
+      }
+    );
+  });
+}
+
 module.exports = {
   db,
   initializeDatabase,
+  closeDatabase,
   createUser,
   authenticateUser,
   getUserById,
   getUserByEmail,
   updateStripeAccountId,
+  getUserByStripeAccountId,
+  updateConnectAccountStatus,
+  getUserByStripeCustomerId,
+  updateStripeCustomer,
   updateAvatarUrl,
   createCommission,
+  getCommissionsByPaymentIntent,
+  createCommissionClawback,
+  COMMISSION_STATUSES,
+  getCommissionById,
+  getCommissionsByStatus,
+  getApprovedCommissions,
+  holdLegacyCommissions,
+  approveDueCommissions,
+  reviewCommission,
+  reverseUnpaidCommission,
+  hasPaidClawback,
+  getCommissionBalances,
+  countPayingReferrals,
+  recordReferralClick,
+  getReferralClick,
+  markReferralClickConverted,
+  getReferralFunnel,
+  getCommissionOverrides,
+  setCommissionOverride,
+  deleteCommissionOverride,
+  getClawedBackAmount,
+  getPendingClawbackTotal,
+  recordPaymentReversal,
+  getChargeReversals,
   getPendingCommissions,
   getPaidCommissions,
   updateCommissionStatus,
@@ -623,11 +3194,89 @@ module.exports = {
   getReferrals,
   createPayout,
   updatePayoutStatus,
+  PAYOUT_STATUSES,
+  getAffiliatesWithPayableCommissions,
+  createPayoutBatch,
+  getPayoutByIdempotencyKey,
+  getPayoutsByStatus,
+  getUnfinishedPayouts,
+  markPayoutProcessing,
+  completePayout,
+  failPayout,
+  getPayoutsByUser,
+  getPayoutById,
+  getPayoutCommissions,
   saveAnalysisResult,
   getLeaderboard,
+  createReport,
+  createJobReport,
+  getReportsByUser,
+  getReportById,
+  deleteReport,
+  createJob,
+  getJobById,
+  startJobAttempt,
+  updateJobProgress,
+  completeJob,
+  failJob,
+  getUnfinishedJobs,
+  createPromoCode,
+  getPromoCodeByCode,
+  getPromoCodes,
+  setPromoCodeActive,
+  setPromoStripeCoupon,
+  PROMO_RESERVATION_MINUTES,
+  countUserPromoRedemptions,
+  reservePromoCode,
+  attachPromoReservation,
+  getOpenPromoReservations,
+  releasePromoReservation,
+  releasePromoReservationForSession,
+  redeemPromoCode,
+  setReferrerIfMissing,
+  createWorkspace,
+  getWorkspaceById,
+  getWorkspaceByStripeCustomerId,
+  getWorkspacesForUser,
+  getWorkspaceMember,
+  getWorkspaceMembers,
+  updateWorkspaceMemberRole,
+  removeWorkspaceMember,
+  countWorkspaceSeatsUsed,
+  updateWorkspaceStripeCustomer,
+  updateWorkspaceSubscriptionState,
+  setActiveWorkspace,
+  createWorkspaceInvite,
+  getWorkspaceInviteByToken,
+  getPendingWorkspaceInvites,
+  findPendingWorkspaceInvite,
+  revokeWorkspaceInvite,
+  acceptWorkspaceInvite,
+  createReceipt,
+  getReceiptById,
+  getReceipts,
+  updateBillingDetails,
+  recordUsageEvent,
+  getUsageTotals,
+  claimStripeEvent,
+  markStripeEventProcessed,
+  markStripeEventFailed,
+  getStripeEvent,
+  getStripeEvents,
   updateUserPlan,
+  updateSubscriptionState,
+  CREDIT_TRANSACTION_TYPES,
   addReportCredits,
   useReportCredit,
+  expireReportCredits,
+  revokeReportCredits,
+  getRevokedCredits,
+  linkCreditTransaction,
+  linkJobCreditToReport,
+  getCreditTransactions,
+  getCreditBalanceSummary,
+  useFreeAnalysis,
+  refundFreeAnalysis,
   getUserStatus,
   isSubscriptionActive
 };
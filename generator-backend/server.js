@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const OpenAI = require('openai');
@@ -35,11 +36,25 @@ function generateUserId(req) {
     return req.ip || req.connection.remoteAddress || 'unknown';
 }
 
+// Shared with the main app, whose /api/generate sends it in X-Generator-Secret
+const INTERNAL_SECRET = process.env.GENERATOR_INTERNAL_SECRET || '';
+
+// Whether the request comes from the main app rather than straight from a browser
+function isInternalCaller(req) {
+    const provided = req.get('x-generator-secret') || '';
+    if (!INTERNAL_SECRET || provided.length !== INTERNAL_SECRET.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(INTERNAL_SECRET));
+}
+
 // ✅ 1. /generate endpoint
 app.post('/generate', async (req, res) => {
     try {
-        const { niche, audience, hook, tone, platform, duration, isPro } = req.body;
-        const userId = generateUserId(req);
+        const { niche, audience, hook, tone, platform, duration } = req.body;
+        // Only the main app may name the account and its plan; anyone else is
+        // a free user identified by their IP
+        const internal = isInternalCaller(req);
+        const isPro = internal && req.body.isPro === true;
+        const userId = (internal && req.body.userId) || generateUserId(req);
 
         // Validate required fields
         if (!niche || !audience || !hook || !tone || !platform || !duration) {
@@ -79,6 +94,7 @@ Format the script with clear sections and natural speaking flow.`;
 
         // Generate script using OpenAI
         let script;
+        let tokens = 0;
         try {
             const completion = await openai.chat.completions.create({
                 model: "gpt-4",
@@ -97,6 +113,7 @@ Format the script with clear sections and natural speaking flow.`;
             });
 
             script = completion.choices[0].message.content;
+            tokens = completion.usage ? completion.usage.total_tokens : 0;
         } catch (error) {
             // If OpenAI API fails, provide a mock response for testing
             console.log('OpenAI API error, using mock response:', error.message);
@@ -135,8 +152,9 @@ Follow for more ${niche} tips and motivation! 💪
         res.json({
             script: script,
             usage: {
-                isPro: isPro || false,
-                freeUsed: !isPro && hasUsedFreeGeneration(userId)
+                isPro: isPro,
+                freeUsed: !isPro && hasUsedFreeGeneration(userId),
+                tokens: tokens
             }
         });
 
@@ -0,0 +1,35 @@
+// middleware/admin.js
+// Admin access for operational endpoints. Admins are the accounts whose email
+// is listed in ADMIN_EMAILS (comma separated).
+const db = require('../database');
+
+function getAdminEmails() {
+  return (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+async function requireAdmin(req, res, next) {
+  const userId = req.session.userId;
+  if (!userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const user = await db.getUserById(userId);
+    if (!user || !getAdminEmails().includes((user.email || '').toLowerCase())) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    req.adminUser = user;
+    next();
+  } catch (error) {
+    console.error('Admin check error:', error);
+    res.status(500).json({ error: 'Failed to check admin access' });
+  }
+}
+
+module.exports = {
+  requireAdmin
+};
@@ -0,0 +1,154 @@
+// middleware/entitlements.js
+// Server-side plan and credit gating for analysis. Pro users analyze freely;
+// everyone else spends their free allowance first, then report credits. Inside
+// a workspace the workspace's plan applies to members holding a paid seat, and
+// everyone else spends from the shared credit pool.
+const db = require('../database');
+const { listProducts } = require('../billing/catalog');
+const { hasWorkspaceSeat } = require('./workspaces');
+
+// Free analyses every account gets before needing credits or Pro
+const FREE_ANALYSIS_ALLOWANCE = parseInt(process.env.FREE_ANALYSIS_ALLOWANCE || '1');
+
+function isProActive(status) {
+  return Boolean(
+    status &&
+    status.plan === 'pro' &&
+    status.subscription_expires &&
+    new Date(status.subscription_expires) > new Date()
+  );
+}
+
+// Snapshot of what the user can do right now, in their personal account or
+// in the given workspace context
+async function getEntitlements(userId, { workspace, member } = {}) {
+  if (workspace) return getWorkspaceEntitlements(workspace, member);
+
+  const status = await db.getUserStatus(userId);
+  if (!status) return null;
+
+  const proActive = isProActive(status);
+  const freeRemaining = Math.max(0, FREE_ANALYSIS_ALLOWANCE - (status.free_analyses_used || 0));
+  const reportCredits = status.report_credits || 0;
+
+  return {
+    plan: proActive ? 'pro' : 'free',
+    proActive,
+    subscriptionExpires: status.subscription_expires,
+    subscriptionStatus: status.subscription_status || null,
+    cancelAtPeriodEnd: Boolean(status.cancel_at_period_end),
+    trialEnds: status.trial_ends || null,
+    gracePeriodEnds: status.grace_period_ends || null,
+    reportCredits,
+    freeAllowance: FREE_ANALYSIS_ALLOWANCE,
+    freeRemaining,
+    canAnalyze: proActive || freeRemaining > 0 || reportCredits > 0,
+    workspace: null
+  };
+}
+
+// Workspaces have no free allowance; the plan covers seated members and the pool covers the rest
+function getWorkspaceEntitlements(workspace, member) {
+  const hasSeat = hasWorkspaceSeat(workspace, member);
+  const proActive = isProActive(workspace) && hasSeat;
+  const reportCredits = workspace.report_credits || 0;
+
+  return {
+    plan: proActive ? 'pro' : 'free',
+    proActive,
+    subscriptionExpires: workspace.subscription_expires,
+    subscriptionStatus: workspace.subscription_status || null,
+    cancelAtPeriodEnd: Boolean(workspace.cancel_at_period_end),
+    trialEnds: workspace.trial_ends || null,
+    gracePeriodEnds: workspace.grace_period_ends || null,
+    reportCredits,
+    freeAllowance: 0,
+    freeRemaining: 0,
+    canAnalyze: proActive || reportCredits > 0,
+    workspace: {
+      id: workspace.id,
+      name: workspace.name,
+      role: member.role,
+      seats: workspace.seats,
+      hasSeat
+    }
+  };
+}
+
+// Spend whatever the next analysis should be paid with. Resolves to
+// { type: 'pro' | 'free' | 'credit', creditTransactionId }, or null if the
+// user (or workspace) has nothing left.
+async function consumeAnalysisEntitlement(userId, { workspace, member } = {}) {
+  if (workspace) {
+    if (isProActive(workspace) && hasWorkspaceSeat(workspace, member)) return { type: 'pro' };
+
+    const creditTransactionId = await db.useReportCredit(userId, { workspaceId: workspace.id, note: 'Video analysis' });
+    return creditTransactionId ? { type: 'credit', creditTransactionId } : null;
+  }
+
+  const status = await db.getUserStatus(userId);
+  if (isProActive(status)) return { type: 'pro' };
+
+  if (await db.useFreeAnalysis(userId, FREE_ANALYSIS_ALLOWANCE)) return { type: 'free' };
+
+  const creditTransactionId = await db.useReportCredit(userId, { note: 'Video analysis' });
+  if (creditTransactionId) return { type: 'credit', creditTransactionId };
+  return null;
+}
+
+// Undo consumeAnalysisEntitlement for an analysis that never produced a report
+async function refundAnalysisEntitlement(userId, entitlement, jobId = null, workspaceId = null) {
+  if (entitlement === 'free') {
+    await db.refundFreeAnalysis(userId);
+  } else if (entitlement === 'credit') {
+    await db.addReportCredits(userId, 1, 'refund', { jobId, workspaceId, note: 'Analysis failed' });
+  }
+}
+
+// Gate a route on the session user being allowed one more analysis. On success
+// req.entitlement says what was spent, so the caller can refund it on failure,
+// and req.creditTransactionId points at the ledger entry when a credit was used.
+// Runs in the workspace context put on req by loadWorkspaceContext, if any.
+async function requireAnalysisEntitlement(req, res, next) {
+  const userId = req.session.userId;
+  if (!userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const context = { workspace: req.workspace, member: req.workspaceMember };
+
+  try {
+    const spent = await consumeAnalysisEntitlement(userId, context);
+
+    if (!spent) {
+      return res.status(402).json({
+        error: 'No analyses remaining',
+        code: 'upgrade_required',
+        upgrade: {
+          message: req.workspace
+            ? 'This workspace has no report credits or Pro seat for you. Ask a workspace admin to top up.'
+            : 'You have used your free analysis. Buy report credits or upgrade to Pro to keep analyzing.',
+          url: '/pricing',
+          plans: listProducts().map(product => product.id)
+        },
+        entitlements: await getEntitlements(userId, context)
+      });
+    }
+
+    req.entitlement = spent.type;
+    req.creditTransactionId = spent.creditTransactionId || null;
+    next();
+  } catch (error) {
+    console.error('Entitlement check error:', error);
+    res.status(500).json({ error: 'Failed to check plan' });
+  }
+}
+
+module.exports = {
+  FREE_ANALYSIS_ALLOWANCE,
+  isProActive,
+  getEntitlements,
+  consumeAnalysisEntitlement,
+  refundAnalysisEntitlement,
+  requireAnalysisEntitlement
+};
@@ -0,0 +1,181 @@
+// middleware/usage.js
+// Fair-use metering. Every analysis minute (Whisper + Gemini) and generation
+// token (GPT-4) is recorded per user, and each plan has daily and monthly
+// soft and hard caps on top of its entitlements. Passing a soft cap only
+// warns; reaching a hard cap blocks the next request until the period resets.
+// Periods follow the UTC calendar day and month.
+const db = require('../database');
+const { getEntitlements } = require('./entitlements');
+
+const USAGE_METRICS = {
+  analysis_minutes: { unit: 'minutes', label: 'analysis' },
+  generation_tokens: { unit: 'tokens', label: 'script generation' }
+};
+
+const USAGE_PERIODS = ['daily', 'monthly'];
+
+// Default caps; each can be overridden with USAGE_LIMIT_<PLAN>_<METRIC>_<PERIOD>_<SOFT|HARD>,
+// e.g. USAGE_LIMIT_PRO_ANALYSIS_MINUTES_DAILY_HARD=180
+const DEFAULT_USAGE_LIMITS = {
+  free: {
+    analysis_minutes: { daily: { soft: 20, hard: 30 }, monthly: { soft: 150, hard: 200 } },
+    generation_tokens: { daily: { soft: 8000, hard: 10000 }, monthly: { soft: 40000, hard: 50000 } }
+  },
+  pro: {
+    analysis_minutes: { daily: { soft: 90, hard: 120 }, monthly: { soft: 1200, hard: 1500 } },
+    generation_tokens: { daily: { soft: 40000, hard: 50000 }, monthly: { soft: 400000, hard: 500000 } }
+  }
+};
+
+function loadUsageLimits() {
+  const limits = {};
+  for (const [plan, metrics] of Object.entries(DEFAULT_USAGE_LIMITS)) {
+    limits[plan] = {};
+    for (const [metric, periods] of Object.entries(metrics)) {
+      limits[plan][metric] = {};
+      for (const [period, caps] of Object.entries(periods)) {
+        const prefix = `USAGE_LIMIT_${plan}_${metric}_${period}`.toUpperCase();
+        limits[plan][metric][period] = {
+          soft: parseFloat(process.env[`${prefix}_SOFT`] || caps.soft),
+          hard: parseFloat(process.env[`${prefix}_HARD`] || caps.hard)
+        };
+      }
+    }
+  }
+  return limits;
+}
+
+const USAGE_LIMITS = loadUsageLimits();
+
+// Start of the current period and of the next one, in UTC
+function periodBounds(period, now = new Date()) {
+  const start = period === 'daily'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const resetsAt = period === 'daily'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  return { start, resetsAt };
+}
+
+// SQLite's CURRENT_TIMESTAMP format
+function toSqlTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function roundUsage(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Usage against the caps of the user's plan in the given context (see
+// getEntitlements). status is 'ok', 'warning' (a soft cap is passed) or
+// 'blocked' (a hard cap is reached); remaining is what is left before the
+// nearest hard cap.
+async function getUsageSummary(userId, context = {}) {
+  const entitlements = await getEntitlements(userId, context);
+  if (!entitlements) return null;
+
+  const plan = entitlements.proActive ? 'pro' : 'free';
+  const totals = {};
+  for (const period of USAGE_PERIODS) {
+    totals[period] = await db.getUsageTotals(userId, toSqlTimestamp(periodBounds(period).start));
+  }
+
+  const metrics = {};
+  for (const [metric, { unit }] of Object.entries(USAGE_METRICS)) {
+    const summary = { unit, status: 'ok', remaining: Infinity };
+
+    for (const period of USAGE_PERIODS) {
+      const { soft, hard } = USAGE_LIMITS[plan][metric][period];
+      const used = roundUsage(totals[period][metric] || 0);
+      const remaining = roundUsage(Math.max(0, hard - used));
+
+      summary[period] = { used, soft, hard, remaining, resetsAt: periodBounds(period).resetsAt.toISOString() };
+      summary.remaining = Math.min(summary.remaining, remaining);
+
+      if (used >= hard) {
+        summary.status = 'blocked';
+      } else if (used >= soft && summary.status === 'ok') {
+        summary.status = 'warning';
+      }
+    }
+
+    metrics[metric] = summary;
+  }
+
+  return { plan, metrics };
+}
+
+// The period that decides the metric's status, and a message to show for it
+function describeUsageLimit(metric, summary) {
+  const { unit, label } = USAGE_METRICS[metric];
+  const usage = summary.metrics[metric];
+  const level = usage.status === 'blocked' ? 'hard' : 'soft';
+  const period = USAGE_PERIODS.find(p => usage[p].used >= usage[p][level]);
+  const { hard, remaining, resetsAt } = usage[period];
+  const resets = new Date(resetsAt).toUTCString();
+
+  if (usage.status === 'blocked') {
+    return `You have reached the ${period} fair-use limit of ${hard} ${unit} for ${label}. It resets ${resets}.`;
+  }
+  return `You are close to the ${period} fair-use limit for ${label}: ${remaining} ${unit} left until ${resets}.`;
+}
+
+// Record usage for a user. Quantities of zero or less are ignored.
+async function recordUsage(userId, metric, quantity, { workspaceId = null, reference = null } = {}) {
+  if (!userId || !USAGE_METRICS[metric] || !(quantity > 0)) return false;
+
+  const recorded = await db.recordUsageEvent(userId, metric, Math.round(quantity * 100) / 100, { workspaceId, reference });
+  if (recorded) {
+    console.log(`📏 User ${userId} used ${roundUsage(quantity)} ${USAGE_METRICS[metric].unit} of ${metric}`);
+  }
+  return recorded;
+}
+
+// Gate a route on the session user being under the hard caps for the metric.
+// Past a soft cap the request goes ahead with an X-Usage-Warning header (and
+// req.usageWarning). Runs in the workspace context put on req by
+// loadWorkspaceContext, if any.
+function requireUsageAllowance(metric) {
+  return async (req, res, next) => {
+    const userId = req.session.userId;
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      const summary = await getUsageSummary(userId, { workspace: req.workspace, member: req.workspaceMember });
+      if (!summary) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const status = summary.metrics[metric].status;
+      if (status === 'blocked') {
+        return res.status(429).json({
+          error: 'Usage limit reached',
+          code: 'usage_limit_reached',
+          message: describeUsageLimit(metric, summary),
+          usage: summary
+        });
+      }
+
+      req.usage = summary;
+      req.usageWarning = status === 'warning' ? describeUsageLimit(metric, summary) : null;
+      if (req.usageWarning) {
+        res.set('X-Usage-Warning', req.usageWarning);
+      }
+      next();
+    } catch (error) {
+      console.error('Usage check error:', error);
+      res.status(500).json({ error: 'Failed to check usage' });
+    }
+  };
+}
+
+module.exports = {
+  USAGE_METRICS,
+  USAGE_LIMITS,
+  getUsageSummary,
+  recordUsage,
+  requireUsageAllowance
+};
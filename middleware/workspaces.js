@@ -0,0 +1,67 @@
+// middleware/workspaces.js
+// Workspace context. A user works either on their own account or inside the
+// workspace they last switched to (users.active_workspace_id); analysis,
+// reports, credits and billing all follow that choice.
+const db = require('../database');
+
+const WORKSPACE_ROLES = ['owner', 'admin', 'member'];
+
+// Roles that may invite and remove members and manage the workspace's billing
+const MANAGER_ROLES = ['owner', 'admin'];
+
+// Whether the member is within the seats the workspace pays for
+function hasWorkspaceSeat(workspace, member) {
+  return Boolean(workspace && member && member.seat_number <= (workspace.seats || 1));
+}
+
+// The user's active workspace and membership, or nulls for their personal
+// account. A workspace they have since left is cleared on the way.
+async function getWorkspaceContext(userOrId) {
+  const user = typeof userOrId === 'object' ? userOrId : await db.getUserById(userOrId);
+  if (!user || !user.active_workspace_id) {
+    return { workspace: null, member: null };
+  }
+
+  const member = await db.getWorkspaceMember(user.active_workspace_id, user.id);
+  if (!member) {
+    await db.setActiveWorkspace(user.id, null);
+    return { workspace: null, member: null };
+  }
+
+  return { workspace: await db.getWorkspaceById(user.active_workspace_id), member };
+}
+
+// Put the session user's workspace context on req.workspace / req.workspaceMember.
+// Does nothing for anonymous requests so routes keep their own auth handling.
+async function loadWorkspaceContext(req, res, next) {
+  req.workspace = null;
+  req.workspaceMember = null;
+  if (!req.session.userId) return next();
+
+  try {
+    const context = await getWorkspaceContext(req.session.userId);
+    req.workspace = context.workspace;
+    req.workspaceMember = context.member;
+    next();
+  } catch (error) {
+    console.error('Load workspace error:', error);
+    res.status(500).json({ error: 'Failed to load workspace' });
+  }
+}
+
+// In a workspace, only owners and admins may continue. Personal accounts pass.
+function requireWorkspaceManager(req, res, next) {
+  if (req.workspace && !MANAGER_ROLES.includes(req.workspaceMember.role)) {
+    return res.status(403).json({ error: 'Only workspace owners and admins can do this' });
+  }
+  next();
+}
+
+module.exports = {
+  WORKSPACE_ROLES,
+  MANAGER_ROLES,
+  hasWorkspaceSeat,
+  getWorkspaceContext,
+  loadWorkspaceContext,
+  requireWorkspaceManager
+};
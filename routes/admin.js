@@ -0,0 +1,339 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const { requireAdmin } = require('../middleware/admin');
+const { replayStripeEvent } = require('../billing/webhooks');
+const { buildPromoCode } = require('../billing/promos');
+const { getProduct } = require('../billing/catalog');
+const { previewPayouts, processPayouts, retryPayout } = require('../billing/payouts');
+
+const STRIPE_EVENT_STATUSES = ['processing', 'processed', 'failed'];
+
+router.use(requireAdmin);
+
+// List logged Stripe webhook events, e.g. ?status=failed
+router.get('/stripe-events', async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    const limit = parseInt(req.query.limit || '50');
+    const offset = parseInt(req.query.offset || '0');
+
+    if (status && !STRIPE_EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${STRIPE_EVENT_STATUSES.join(', ')}` });
+    }
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'Invalid limit. Must be between 1 and 100' });
+    }
+    if (isNaN(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Invalid offset' });
+    }
+
+    const events = await db.getStripeEvents(status, limit, offset);
+    res.json({ events });
+  } catch (error) {
+    console.error('List Stripe events error:', error);
+    res.status(500).json({ error: 'Failed to fetch Stripe events' });
+  }
+});
+
+// Show one event including its payload
+router.get('/stripe-events/:id', async (req, res) => {
+  try {
+    const event = await db.getStripeEvent(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Stripe event not found' });
+    }
+
+    res.json({ event });
+  } catch (error) {
+    console.error('Get Stripe event error:', error);
+    res.status(500).json({ error: 'Failed to fetch Stripe event' });
+  }
+});
+
+// Re-run a failed (or stuck) event from its stored payload
+router.post('/stripe-events/:id/replay', async (req, res) => {
+  try {
+    const existing = await db.getStripeEvent(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Stripe event not found' });
+    }
+
+    const { status } = await replayStripeEvent(req.params.id);
+    console.log(`🔁 Stripe event ${req.params.id} replayed by admin ${req.adminUser.id}: ${status}`);
+    res.json({ success: true, status, event: await db.getStripeEvent(req.params.id) });
+  } catch (error) {
+    console.error('Replay Stripe event error:', error);
+    res.status(500).json({ error: 'Replay failed', details: error.message });
+  }
+});
+
+// List every promo code with its redemption count
+router.get('/promo-codes', async (req, res) => {
+  try {
+    const promoCodes = await db.getPromoCodes();
+    res.json({ promoCodes });
+  } catch (error) {
+    console.error('List promo codes error:', error);
+    res.status(500).json({ error: 'Failed to fetch promo codes' });
+  }
+});
+
+// Create a campaign promo code
+router.post('/promo-codes', async (req, res) => {
+  try {
+    const { promo, error } = buildPromoCode(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (await db.getPromoCodeByCode(promo.code)) {
+      return res.status(409).json({ error: 'A promo code with that code already exists' });
+    }
+
+    const promoId = await db.createPromoCode(promo);
+    console.log(`🏷️ Promo code ${promo.code} created by admin ${req.adminUser.id}`);
+    res.status(201).json({ success: true, promoCode: await db.getPromoCodeByCode(promo.code), id: promoId });
+  } catch (error) {
+    console.error('Create promo code error:', error);
+    res.status(500).json({ error: 'Failed to create promo code' });
+  }
+});
+
+// Switch a promo code on or off
+function setPromoActiveHandler(active) {
+  return async (req, res) => {
+    try {
+      const updated = await db.setPromoCodeActive(req.params.id, active);
+      if (!updated) {
+        return res.status(404).json({ error: 'Promo code not found' });
+      }
+
+      res.json({ success: true, active });
+    } catch (error) {
+      console.error('Update promo code error:', error);
+      res.status(500).json({ error: 'Failed to update promo code' });
+    }
+  };
+}
+
+router.post('/promo-codes/:id/activate', setPromoActiveHandler(true));
+router.post('/promo-codes/:id/deactivate', setPromoActiveHandler(false));
+
+// Commissions by status for review, e.g. ?status=pending&affiliateId=12
+router.get('/commissions', async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const limit = parseInt(req.query.limit || '50');
+    const offset = parseInt(req.query.offset || '0');
+
+    if (!db.COMMISSION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${db.COMMISSION_STATUSES.join(', ')}` });
+    }
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'Invalid limit. Must be between 1 and 100' });
+    }
+    if (isNaN(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Invalid offset' });
+    }
+
+    const commissions = await db.getCommissionsByStatus(status, req.query.affiliateId || null, limit, offset);
+    res.json({ commissions });
+  } catch (error) {
+    console.error('List commissions error:', error);
+    res.status(500).json({ error: 'Failed to fetch commissions' });
+  }
+});
+
+// Approve a pending commission. It is still only paid out once its hold has passed.
+router.post('/commissions/:id/approve', async (req, res) => {
+  try {
+    const commission = await db.getCommissionById(req.params.id);
+    if (!commission) {
+      return res.status(404).json({ error: 'Commission not found' });
+    }
+
+    const approved = await db.reviewCommission(commission.id, 'approved', {
+      reviewedBy: req.adminUser.id,
+      note: req.body.note
+    });
+    if (!approved) {
+      return res.status(409).json({ error: `Only pending commissions can be approved (this one is ${commission.status})` });
+    }
+
+    console.log(`✅ Commission ${commission.id} approved by admin ${req.adminUser.id}`);
+    res.json({ success: true, commission: await db.getCommissionById(commission.id) });
+  } catch (error) {
+    console.error('Approve commission error:', error);
+    res.status(500).json({ error: 'Failed to approve commission' });
+  }
+});
+
+// Reject an unpaid commission (e.g. fraud or self-referral); it becomes reversed
+router.post('/commissions/:id/reject', async (req, res) => {
+  try {
+    const commission = await db.getCommissionById(req.params.id);
+    if (!commission) {
+      return res.status(404).json({ error: 'Commission not found' });
+    }
+    if (!req.body.note) {
+      return res.status(400).json({ error: 'A note explaining the rejection is required' });
+    }
+    if (commission.payout_id) {
+      return res.status(409).json({ error: `This commission is already in payout ${commission.payout_id}` });
+    }
+    if (await db.hasPaidClawback(commission.id)) {
+      return res.status(409).json({ error: 'A clawback against this commission has already been paid out' });
+    }
+
+    const rejected = await db.reviewCommission(commission.id, 'reversed', {
+      reviewedBy: req.adminUser.id,
+      note: req.body.note
+    });
+    if (!rejected) {
+      return res.status(409).json({ error: `Only unpaid commissions can be rejected (this one is ${commission.status})` });
+    }
+
+    console.log(`🚫 Commission ${commission.id} rejected by admin ${req.adminUser.id}: ${req.body.note}`);
+    res.json({ success: true, commission: await db.getCommissionById(commission.id) });
+  } catch (error) {
+    console.error('Reject commission error:', error);
+    res.status(500).json({ error: 'Failed to reject commission' });
+  }
+});
+
+// List per-affiliate commission overrides, e.g. ?affiliateId=12
+router.get('/commission-overrides', async (req, res) => {
+  try {
+    const overrides = await db.getCommissionOverrides(req.query.affiliateId || null);
+    res.json({ overrides });
+  } catch (error) {
+    console.error('List commission overrides error:', error);
+    res.status(500).json({ error: 'Failed to fetch commission overrides' });
+  }
+});
+
+// Set an affiliate's rate (0-1) for one product, or for all products when
+// productId is left out. recurringMonths overrides the subscription window
+// (0 for the subscription's lifetime).
+router.post('/commission-overrides', async (req, res) => {
+  try {
+    const { affiliateId, productId, note } = req.body;
+    const rate = parseFloat(req.body.rate);
+    const recurringMonths = req.body.recurringMonths === undefined || req.body.recurringMonths === null
+      ? null
+      : parseInt(req.body.recurringMonths);
+
+    if (!affiliateId || !(await db.getUserById(affiliateId))) {
+      return res.status(404).json({ error: 'Affiliate not found' });
+    }
+    if (productId && !getProduct(productId)) {
+      return res.status(400).json({ error: `Unknown plan: ${productId}` });
+    }
+    if (isNaN(rate) || rate < 0 || rate > 1) {
+      return res.status(400).json({ error: 'Rate must be between 0 and 1' });
+    }
+    if (recurringMonths !== null && (isNaN(recurringMonths) || recurringMonths < 0)) {
+      return res.status(400).json({ error: 'Invalid recurringMonths' });
+    }
+
+    const overrideId = await db.setCommissionOverride({
+      affiliateId,
+      productId: productId || null,
+      rate,
+      recurringMonths,
+      note,
+      createdBy: req.adminUser.id
+    });
+
+    console.log(`💸 Commission override for affiliate ${affiliateId} (${productId || 'all products'}) set to ${rate} by admin ${req.adminUser.id}`);
+    res.status(201).json({ success: true, id: overrideId, overrides: await db.getCommissionOverrides(affiliateId) });
+  } catch (error) {
+    console.error('Set commission override error:', error);
+    res.status(500).json({ error: 'Failed to set commission override' });
+  }
+});
+
+// Remove an override so the affiliate is back on the standard rules
+router.delete('/commission-overrides/:id', async (req, res) => {
+  try {
+    const deleted = await db.deleteCommissionOverride(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Commission override not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete commission override error:', error);
+    res.status(500).json({ error: 'Failed to delete commission override' });
+  }
+});
+
+// List affiliate payouts, e.g. ?status=failed
+router.get('/payouts', async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    const limit = parseInt(req.query.limit || '50');
+    const offset = parseInt(req.query.offset || '0');
+
+    if (status && !db.PAYOUT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${db.PAYOUT_STATUSES.join(', ')}` });
+    }
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'Invalid limit. Must be between 1 and 100' });
+    }
+    if (isNaN(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Invalid offset' });
+    }
+
+    const payouts = await db.getPayoutsByStatus(status, limit, offset);
+    res.json({ payouts });
+  } catch (error) {
+    console.error('List payouts error:', error);
+    res.status(500).json({ error: 'Failed to fetch payouts' });
+  }
+});
+
+// What a payout run would do now: eligible affiliates and amounts, what blocks
+// the others, and unfinished payouts it would resume. Changes nothing.
+router.get('/payouts/preview', async (req, res) => {
+  try {
+    res.json(await previewPayouts());
+  } catch (error) {
+    console.error('Payout preview error:', error);
+    res.status(500).json({ error: 'Failed to preview payouts' });
+  }
+});
+
+// Run payouts now instead of waiting for the monthly job
+router.post('/payouts/run', async (req, res) => {
+  try {
+    console.log(`🔧 Payout run started by admin ${req.adminUser.id}`);
+    const { payouts, skipped } = await processPayouts();
+    res.json({ success: true, payouts, skipped });
+  } catch (error) {
+    console.error('Payout run error:', error);
+    res.status(500).json({ error: 'Payout run failed' });
+  }
+});
+
+// Retry one failed or interrupted payout
+router.post('/payouts/:id/retry', async (req, res) => {
+  try {
+    const existing = await db.getPayoutById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Payout not found' });
+    }
+    if (existing.status === 'paid' || !existing.idempotency_key) {
+      return res.status(409).json({ error: `Payout ${existing.id} cannot be retried (it is ${existing.status})` });
+    }
+
+    const payout = await retryPayout(existing.id);
+    res.json({ success: payout.status === 'paid', payout });
+  } catch (error) {
+    console.error('Retry payout error:', error);
+    res.status(500).json({ error: 'Failed to retry payout' });
+  }
+});
+
+module.exports = router;
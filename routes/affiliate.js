@@ -1,7 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const db = require('../database');
+const { AFFILIATE_PROMO_PERCENT, buildPromoCode } = require('../billing/promos');
+const { renderPayoutStatement } = require('../billing/receipts');
+const { COMMISSION_HOLD_DAYS, describeAffiliateRates } = require('../billing/commissions');
+const {
+  ensureConnectAccount,
+  createOnboardingLink,
+  refreshConnectAccount,
+  describeConnectStatus
+} = require('../billing/connect');
+const { referralLink, getReferralFunnel } = require('../billing/referrals');
 
 // Authentication middleware
 function requireAuth(req, res, next) {
@@ -15,48 +24,58 @@ function requireAuth(req, res, next) {
 // Affiliate onboarding - redirect to Stripe Connect
 router.get('/onboard', requireAuth, async (req, res) => {
   try {
-    const userId = req.session.userId;
-
-    // Create Stripe Connect account link
-    const accountLink = await stripe.accountLinks.create({
-      account: await createStripeAccount(userId),
-      refresh_url: `${process.env.BASE_URL || 'http://localhost:3000'}/affiliate/onboard/refresh`,
-      return_url: `${process.env.BASE_URL || 'http://localhost:3000'}/affiliate-dashboard.html`,
-      type: 'account_onboarding',
-    });
+    const user = await db.getUserById(req.session.userId);
+    const accountId = await ensureConnectAccount(user);
 
-    res.redirect(accountLink.url);
+    res.redirect(await createOnboardingLink(accountId));
   } catch (error) {
     console.error('Affiliate onboarding error:', error);
     res.status(500).json({ error: 'Failed to start onboarding' });
   }
 });
 
-// Create Stripe Connect account
-async function createStripeAccount(userId) {
+// Stripe sends the affiliate here when their onboarding link has expired or
+// was already used; give them a fresh one
+router.get('/onboard/refresh', requireAuth, async (req, res) => {
   try {
-    const user = await db.getUserById(userId);
-    
-    if (user.stripe_account_id) {
-      return user.stripe_account_id;
+    const user = await db.getUserById(req.session.userId);
+    if (!user.stripe_account_id) {
+      return res.redirect('/affiliate/onboard');
     }
 
-    const account = await stripe.accounts.create({
-      type: 'express',
-      country: 'GB', // Default to UK
-      email: user.email,
-      capabilities: {
-        transfers: { requested: true },
-      },
-    });
+    res.redirect(await createOnboardingLink(user.stripe_account_id));
+  } catch (error) {
+    console.error('Affiliate onboarding refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh onboarding' });
+  }
+});
 
-    await db.updateStripeAccountId(userId, account.id);
-    return account.id;
+// Back from Stripe: pick up the account's status now rather than waiting for
+// the account.updated webhook
+router.get('/onboard/return', requireAuth, async (req, res) => {
+  try {
+    await refreshConnectAccount(await db.getUserById(req.session.userId));
   } catch (error) {
-    console.error('Error creating Stripe account:', error);
-    throw error;
+    console.error('Affiliate onboarding return error:', error);
   }
-}
+  res.redirect('/affiliate-dashboard.html');
+});
+
+// Re-check the Connect account with Stripe
+router.post('/connect/refresh', requireAuth, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.session.userId);
+    if (!user.stripe_account_id) {
+      return res.status(404).json({ error: 'No payout account set up yet' });
+    }
+
+    await refreshConnectAccount(user);
+    res.json({ connect: describeConnectStatus(await db.getUserById(user.id)) });
+  } catch (error) {
+    console.error('Connect refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh payout account' });
+  }
+});
 
 // Affiliate dashboard
 router.get('/dashboard', requireAuth, async (req, res) => {
@@ -65,8 +84,10 @@ router.get('/dashboard', requireAuth, async (req, res) => {
 
     const user = await db.getUserById(userId);
     const pendingCommissions = await db.getPendingCommissions(userId);
+    const approvedCommissions = await db.getApprovedCommissions(userId);
     const paidCommissions = await db.getPaidCommissions(userId);
     const totalPending = await db.getTotalPendingCommissions(userId);
+    const balances = await db.getCommissionBalances(userId);
     const referrals = await db.getReferrals(userId);
 
     // Calculate next payout date (end of current month)
@@ -79,19 +100,28 @@ router.get('/dashboard', requireAuth, async (req, res) => {
         email: user.email,
         username: user.username,
         stripeAccountId: user.stripe_account_id,
-        referralLink: `https://copyboss.com/?ref=${user.id}`
+        referralLink: referralLink(user.id)
       },
       stats: {
         totalReferrals: referrals.length,
         pendingCommissions: totalPending,
         paidCommissions: paidCommissions.reduce((sum, c) => sum + parseFloat(c.commission_amount), 0),
+        // Locked commissions are still in their hold; available ones go out with the next payout
+        lockedBalance: balances.locked,
+        availableBalance: balances.available,
+        nextReleaseAt: balances.nextReleaseAt,
+        holdDays: COMMISSION_HOLD_DAYS,
         payoutThreshold: 50, // £50 minimum
         nextPayoutDate: nextPayoutDate.toISOString().split('T')[0]
       },
       commissions: {
         pending: pendingCommissions,
+        approved: approvedCommissions,
         paid: paidCommissions
       },
+      commissionRates: await describeAffiliateRates(userId),
+      connect: describeConnectStatus(user),
+      funnel: await getReferralFunnel(userId),
       referrals: referrals
     };
 
@@ -113,8 +143,7 @@ router.get('/referral-link/:userId', requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized' });
     }
     
-    const referralLink = `https://copyboss.com/?ref=${userId}`;
-    res.json({ referralLink });
+    res.json({ referralLink: referralLink(userId) });
   } catch (error) {
     console.error('Get referral link error:', error);
     res.status(500).json({ error: 'Failed to get referral link' });
@@ -156,38 +185,6 @@ router.post('/process-referral', async (req, res) => {
   }
 });
 
-// Process commission for purchase
-router.post('/process-commission', async (req, res) => {
-  try {
-    const { referrerId, referredUserId, purchaseAmount, paymentIntentId } = req.body;
-    
-    if (!referrerId || !referredUserId || !purchaseAmount) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-
-    // Calculate commission (40%)
-    const commissionAmount = purchaseAmount * 0.4;
-    
-    // Create commission record
-    const commissionId = await db.createCommission(
-      referrerId,
-      referredUserId,
-      purchaseAmount,
-      commissionAmount,
-      paymentIntentId
-    );
-
-    res.json({ 
-      success: true, 
-      commissionId,
-      commissionAmount
-    });
-  } catch (error) {
-    console.error('Process commission error:', error);
-    res.status(500).json({ error: 'Failed to process commission' });
-  }
-});
-
 // Get user's commissions
 router.get('/commissions/:userId', requireAuth, async (req, res) => {
   try {
@@ -200,10 +197,12 @@ router.get('/commissions/:userId', requireAuth, async (req, res) => {
     }
     
     const pendingCommissions = await db.getPendingCommissions(userId);
+    const approvedCommissions = await db.getApprovedCommissions(userId);
     const paidCommissions = await db.getPaidCommissions(userId);
     
     res.json({
       pending: pendingCommissions,
+      approved: approvedCommissions,
       paid: paidCommissions
     });
   } catch (error) {
@@ -231,4 +230,89 @@ router.get('/referrals/:userId', requireAuth, async (req, res) => {
   }
 });
 
+// The logged-in affiliate's payouts, each with a statement
+router.get('/payouts', requireAuth, async (req, res) => {
+  try {
+    const payouts = await db.getPayoutsByUser(req.session.userId);
+    res.json({
+      payouts: payouts.map(payout => ({
+        ...payout,
+        statementUrl: `/affiliate/payouts/${payout.id}/statement`,
+        statementPdfUrl: `/affiliate/payouts/${payout.id}/statement?format=pdf`
+      }))
+    });
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({ error: 'Failed to get payouts' });
+  }
+});
+
+// Statement for one payout as HTML (default) or PDF (?format=pdf)
+router.get('/payouts/:id/statement', requireAuth, async (req, res) => {
+  try {
+    const payout = await db.getPayoutById(req.params.id);
+    if (!payout || payout.user_id !== req.session.userId) {
+      return res.status(404).json({ error: 'Payout not found' });
+    }
+
+    const affiliate = await db.getUserById(req.session.userId);
+    const commissions = payout.status === 'paid' ? await db.getPayoutCommissions(payout) : [];
+    const document = renderPayoutStatement(payout, affiliate, commissions, req.query.format === 'pdf' ? 'pdf' : 'html');
+
+    res.type(document.contentType);
+    res.set('Content-Disposition', `inline; filename="${document.filename}"`);
+    res.send(document.body);
+  } catch (error) {
+    console.error('Get payout statement error:', error);
+    res.status(500).json({ error: 'Failed to get payout statement' });
+  }
+});
+
+// Get the logged-in affiliate's own promo codes
+router.get('/promo-codes', requireAuth, async (req, res) => {
+  try {
+    const promoCodes = await db.getPromoCodes(req.session.userId);
+    res.json({ promoCodes });
+  } catch (error) {
+    console.error('Get affiliate promo codes error:', error);
+    res.status(500).json({ error: 'Failed to get promo codes' });
+  }
+});
+
+// Create a promo code for the logged-in affiliate. Buyers get AFFILIATE_PROMO_PERCENT
+// off and become the affiliate's referrals if they weren't referred already.
+router.post('/promo-codes', requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const user = await db.getUserById(userId);
+
+    const activeCode = (await db.getPromoCodes(userId)).find(promo => promo.active);
+    if (activeCode) {
+      return res.status(409).json({ error: 'You already have an active promo code', promoCode: activeCode });
+    }
+
+    const suggested = `${(user.username || 'CREATOR').replace(/[^A-Za-z0-9]/g, '')}${AFFILIATE_PROMO_PERCENT}`;
+    const { promo, error } = buildPromoCode({
+      code: req.body.code || suggested,
+      type: 'percentage',
+      value: AFFILIATE_PROMO_PERCENT,
+      description: `${AFFILIATE_PROMO_PERCENT}% off from ${user.username || 'a CopyBoss creator'}`,
+      affiliateId: userId
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (await db.getPromoCodeByCode(promo.code)) {
+      return res.status(409).json({ error: 'That code is taken, please choose another' });
+    }
+
+    await db.createPromoCode(promo);
+    res.status(201).json({ success: true, promoCode: await db.getPromoCodeByCode(promo.code) });
+  } catch (error) {
+    console.error('Create affiliate promo code error:', error);
+    res.status(500).json({ error: 'Failed to create promo code' });
+  }
+});
+
 module.exports = router;
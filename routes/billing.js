@@ -0,0 +1,381 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const stripe = require('../billing/stripeClient');
+const { syncSubscription } = require('../billing/subscriptions');
+const { getProduct, getPriceId, getProductByPriceId } = require('../billing/catalog');
+const { loadWorkspaceContext, requireWorkspaceManager, MANAGER_ROLES } = require('../middleware/workspaces');
+const { renderReceipt } = require('../billing/receipts');
+
+// Authentication middleware
+function requireAuth(req, res, next) {
+  if (req.session.userId) {
+    next();
+  } else {
+    res.status(401).json({ error: 'Authentication required' });
+  }
+}
+
+// Load the session user onto req
+async function loadUser(req, res, next) {
+  try {
+    req.user = await db.getUserById(req.session.userId);
+    if (!req.user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    next();
+  } catch (error) {
+    console.error('Load user error:', error);
+    res.status(500).json({ error: 'Failed to load user' });
+  }
+}
+
+// The account being billed: the active workspace, or the user themselves.
+// Both carry the same Stripe customer, subscription and credit columns.
+function loadBillingAccount(req, res, next) {
+  req.account = req.workspace || req.user;
+  next();
+}
+
+// Load the billing account's Stripe subscription (if any) onto req
+async function loadSubscription(req, res, next) {
+  try {
+    req.subscription = req.account.stripe_subscription_id
+      ? await stripe.subscriptions.retrieve(req.account.stripe_subscription_id)
+      : null;
+    next();
+  } catch (error) {
+    console.error('Load subscription error:', error);
+    res.status(500).json({ error: 'Failed to load subscription' });
+  }
+}
+
+router.use(requireAuth, loadUser, loadWorkspaceContext, loadBillingAccount);
+
+function requireSubscription(req, res, next) {
+  if (!req.subscription || req.subscription.status === 'canceled') {
+    return res.status(404).json({ error: 'No active subscription' });
+  }
+  next();
+}
+
+function toISODate(unixSeconds) {
+  return unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+function describeSubscription(subscription) {
+  const item = subscription.items.data[0];
+  const product = item ? getProductByPriceId(item.price.id) : null;
+
+  return {
+    id: subscription.id,
+    status: subscription.status,
+    plan: product ? product.id : null,
+    planName: product ? product.name : null,
+    seats: item ? item.quantity : null,
+    cancelAtPeriodEnd: subscription.cancel_at_period_end,
+    currentPeriodStart: toISODate(subscription.current_period_start),
+    currentPeriodEnd: toISODate(subscription.current_period_end),
+    trialEnd: toISODate(subscription.trial_end),
+    canceledAt: toISODate(subscription.canceled_at)
+  };
+}
+
+// Resolve the subscription product a plan change should move to
+function getTargetPlan(req, res) {
+  const product = getProduct(req.body.plan);
+  if (!product) {
+    res.status(400).json({ error: `Unknown plan: ${req.body.plan}` });
+    return null;
+  }
+  if (product.mode !== 'subscription') {
+    res.status(400).json({ error: 'Credit packs are bought through checkout, not by changing plan' });
+    return null;
+  }
+
+  const priceId = getPriceId(product);
+  if (!priceId) {
+    res.status(503).json({ error: 'This plan is not available right now' });
+    return null;
+  }
+
+  return { product, priceId };
+}
+
+// Current subscription details (any workspace member may look)
+router.get('/subscription', loadSubscription, async (req, res) => {
+  res.json({
+    subscription: req.subscription ? describeSubscription(req.subscription) : null,
+    reportCredits: req.account.report_credits || 0,
+    workspaceId: req.workspace ? req.workspace.id : null
+  });
+});
+
+// Cancel at the end of the current period (access continues until then)
+router.post('/subscription/cancel', requireWorkspaceManager, loadSubscription, requireSubscription, async (req, res) => {
+  try {
+    const subscription = await stripe.subscriptions.update(req.subscription.id, {
+      cancel_at_period_end: true
+    });
+    await syncSubscription(subscription, req.user);
+
+    console.log(`🛑 User ${req.user.id} scheduled cancellation of ${subscription.id}`);
+    res.json({ success: true, subscription: describeSubscription(subscription) });
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({ error: 'Failed to cancel subscription' });
+  }
+});
+
+// Undo a scheduled cancellation
+router.post('/subscription/resume', requireWorkspaceManager, loadSubscription, requireSubscription, async (req, res) => {
+  try {
+    if (!req.subscription.cancel_at_period_end) {
+      return res.status(400).json({ error: 'Subscription is not set to cancel' });
+    }
+
+    const subscription = await stripe.subscriptions.update(req.subscription.id, {
+      cancel_at_period_end: false
+    });
+    await syncSubscription(subscription, req.user);
+
+    console.log(`▶️ User ${req.user.id} resumed ${subscription.id}`);
+    res.json({ success: true, subscription: describeSubscription(subscription) });
+  } catch (error) {
+    console.error('Resume subscription error:', error);
+    res.status(500).json({ error: 'Failed to resume subscription' });
+  }
+});
+
+// Preview what switching plan would cost now. Pass the returned prorationDate
+// to /subscription/change so the charge matches the preview.
+router.post('/subscription/preview-change', requireWorkspaceManager, loadSubscription, requireSubscription, async (req, res) => {
+  try {
+    const target = getTargetPlan(req, res);
+    if (!target) return;
+
+    const prorationDate = Math.floor(Date.now() / 1000);
+    const invoice = await stripe.invoices.retrieveUpcoming({
+      customer: req.account.stripe_customer_id,
+      subscription: req.subscription.id,
+      subscription_items: [{ id: req.subscription.items.data[0].id, price: target.priceId }],
+      subscription_proration_behavior: 'create_prorations',
+      subscription_proration_date: prorationDate
+    });
+
+    const prorations = invoice.lines.data.filter(line => line.proration);
+    res.json({
+      plan: target.product.id,
+      prorationDate,
+      currency: invoice.currency,
+      prorationAmount: prorations.reduce((sum, line) => sum + line.amount, 0),
+      amountDue: invoice.amount_due,
+      nextPaymentAttempt: toISODate(invoice.next_payment_attempt),
+      lines: prorations.map(line => ({
+        description: line.description,
+        amount: line.amount,
+        periodStart: toISODate(line.period.start),
+        periodEnd: toISODate(line.period.end)
+      }))
+    });
+  } catch (error) {
+    console.error('Preview plan change error:', error);
+    res.status(500).json({ error: 'Failed to preview plan change' });
+  }
+});
+
+// Switch the subscription to another plan, prorating the difference
+router.post('/subscription/change', requireWorkspaceManager, loadSubscription, requireSubscription, async (req, res) => {
+  try {
+    const target = getTargetPlan(req, res);
+    if (!target) return;
+
+    const item = req.subscription.items.data[0];
+    if (item.price.id === target.priceId) {
+      return res.status(400).json({ error: 'Already on this plan' });
+    }
+
+    const prorationDate = parseInt(req.body.prorationDate);
+    const subscription = await stripe.subscriptions.update(req.subscription.id, {
+      items: [{ id: item.id, price: target.priceId }],
+      proration_behavior: 'create_prorations',
+      ...(prorationDate && { proration_date: prorationDate }),
+      metadata: { ...req.subscription.metadata, plan: target.product.id }
+    });
+    await syncSubscription(subscription, req.user);
+
+    console.log(`🔀 User ${req.user.id} changed ${subscription.id} to ${target.product.id}`);
+    res.json({ success: true, subscription: describeSubscription(subscription) });
+  } catch (error) {
+    console.error('Change plan error:', error);
+    res.status(500).json({ error: 'Failed to change plan' });
+  }
+});
+
+// Change how many seats a workspace subscription pays for, prorating the difference.
+// Seats can't go below the number of current members.
+router.post('/subscription/seats', requireWorkspaceManager, loadSubscription, requireSubscription, async (req, res) => {
+  try {
+    if (!req.workspace) {
+      return res.status(400).json({ error: 'Seats only apply to workspace subscriptions' });
+    }
+
+    const seats = parseInt(req.body.seats);
+    const members = await db.getWorkspaceMembers(req.workspace.id);
+    if (isNaN(seats) || seats < members.length) {
+      return res.status(400).json({ error: `Seats must be at least the current member count (${members.length})` });
+    }
+
+    const item = req.subscription.items.data[0];
+    const subscription = await stripe.subscriptions.update(req.subscription.id, {
+      items: [{ id: item.id, quantity: seats }],
+      proration_behavior: 'create_prorations'
+    });
+    await syncSubscription(subscription, req.user);
+
+    console.log(`💺 Workspace ${req.workspace.id} now has ${seats} seats`);
+    res.json({ success: true, subscription: describeSubscription(subscription) });
+  } catch (error) {
+    console.error('Change seats error:', error);
+    res.status(500).json({ error: 'Failed to change seats' });
+  }
+});
+
+// Recent invoices for the billing account's Stripe customer
+router.get('/invoices', requireWorkspaceManager, async (req, res) => {
+  try {
+    if (!req.account.stripe_customer_id) {
+      return res.json({ invoices: [] });
+    }
+
+    const invoices = await stripe.invoices.list({ customer: req.account.stripe_customer_id, limit: 24 });
+    res.json({
+      invoices: invoices.data.map(invoice => ({
+        id: invoice.id,
+        number: invoice.number,
+        status: invoice.status,
+        amountPaid: invoice.amount_paid,
+        amountDue: invoice.amount_due,
+        currency: invoice.currency,
+        created: toISODate(invoice.created),
+        hostedInvoiceUrl: invoice.hosted_invoice_url,
+        invoicePdf: invoice.invoice_pdf
+      }))
+    });
+  } catch (error) {
+    console.error('List invoices error:', error);
+    res.status(500).json({ error: 'Failed to fetch invoices' });
+  }
+});
+
+// Company and VAT details printed on receipts
+router.get('/details', async (req, res) => {
+  res.json({
+    billingName: req.user.billing_name || null,
+    companyName: req.user.company_name || null,
+    vatNumber: req.user.vat_number || null,
+    billingAddress: req.user.billing_address || null
+  });
+});
+
+// Update billing details. Only receipts issued afterwards use them; existing
+// receipts keep the details they were issued with.
+router.post('/details', async (req, res) => {
+  try {
+    const clean = (value, max) => {
+      const text = String(value || '').trim();
+      return text ? text.slice(0, max) : null;
+    };
+
+    const details = {
+      billingName: clean(req.body.billingName, 100),
+      companyName: clean(req.body.companyName, 100),
+      vatNumber: clean(req.body.vatNumber, 20),
+      billingAddress: clean(req.body.billingAddress, 500)
+    };
+
+    if (details.vatNumber) {
+      details.vatNumber = details.vatNumber.replace(/[\s.-]/g, '').toUpperCase();
+      if (!/^[A-Z]{2}[A-Z0-9]{2,13}$/.test(details.vatNumber)) {
+        return res.status(400).json({ error: 'VAT number should start with a country code, e.g. GB123456789' });
+      }
+    }
+
+    await db.updateBillingDetails(req.user.id, details);
+    res.json({ success: true, ...details });
+  } catch (error) {
+    console.error('Update billing details error:', error);
+    res.status(500).json({ error: 'Failed to update billing details' });
+  }
+});
+
+// Receipts for the user's own payments, or the active workspace's
+router.get('/receipts', requireWorkspaceManager, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '50');
+    const offset = parseInt(req.query.offset || '0');
+
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'Invalid limit. Must be between 1 and 100' });
+    }
+    if (isNaN(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Invalid offset' });
+    }
+
+    const receipts = await db.getReceipts(req.user.id, limit, offset, req.workspace ? req.workspace.id : null);
+    res.json({
+      receipts: receipts.map(receipt => ({
+        ...receipt,
+        htmlUrl: `/api/billing/receipts/${receipt.id}`,
+        pdfUrl: `/api/billing/receipts/${receipt.id}?format=pdf`
+      }))
+    });
+  } catch (error) {
+    console.error('List receipts error:', error);
+    res.status(500).json({ error: 'Failed to fetch receipts' });
+  }
+});
+
+// One receipt as HTML (default) or PDF (?format=pdf). Workspace receipts are
+// open to that workspace's owners and admins.
+router.get('/receipts/:id', async (req, res) => {
+  try {
+    const receipt = await db.getReceiptById(req.params.id);
+    let allowed = receipt && !receipt.workspace_id && receipt.user_id === req.user.id;
+    if (receipt && receipt.workspace_id) {
+      const member = await db.getWorkspaceMember(receipt.workspace_id, req.user.id);
+      allowed = Boolean(member && MANAGER_ROLES.includes(member.role));
+    }
+    if (!allowed) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    const document = renderReceipt(receipt, req.query.format === 'pdf' ? 'pdf' : 'html');
+    res.type(document.contentType);
+    res.set('Content-Disposition', `inline; filename="${document.filename}"`);
+    res.send(document.body);
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({ error: 'Failed to fetch receipt' });
+  }
+});
+
+// Open a Stripe Billing Portal session (payment methods, invoices, cancellation)
+router.post('/portal', requireWorkspaceManager, async (req, res) => {
+  try {
+    if (!req.account.stripe_customer_id) {
+      return res.status(404).json({ error: 'No billing account yet. Make a purchase first.' });
+    }
+
+    const session = await stripe.billingPortal.sessions.create({
+      customer: req.account.stripe_customer_id,
+      return_url: `${process.env.DOMAIN}/analyzer`
+    });
+    res.json({ url: session.url });
+  } catch (error) {
+    console.error('Billing portal error:', error);
+    res.status(500).json({ error: 'Failed to open billing portal' });
+  }
+});
+
+module.exports = router;
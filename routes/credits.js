@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const { loadWorkspaceContext } = require('../middleware/workspaces');
+
+// Authentication middleware
+function requireAuth(req, res, next) {
+  if (req.session.userId) {
+    next();
+  } else {
+    res.status(401).json({ error: 'Authentication required' });
+  }
+}
+
+// Credit ledger (newest first) with the current balance, for the current user
+// or the active workspace's shared pool
+router.get('/history', requireAuth, loadWorkspaceContext, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '50');
+    const offset = parseInt(req.query.offset || '0');
+
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'Invalid limit. Must be between 1 and 100' });
+    }
+    if (isNaN(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Invalid offset' });
+    }
+
+    const workspaceId = req.workspace ? req.workspace.id : null;
+    const summary = await db.getCreditBalanceSummary(req.session.userId, workspaceId);
+    if (!summary) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!summary.reconciled) {
+      const account = workspaceId ? `workspace ${workspaceId}` : `user ${req.session.userId}`;
+      console.warn(`⚠️ Credit balance for ${account} (${summary.balance}) does not match ledger (${summary.ledgerBalance})`);
+    }
+
+    const transactions = await db.getCreditTransactions(req.session.userId, limit, offset, workspaceId);
+    res.json({ ...summary, workspaceId, transactions });
+  } catch (error) {
+    console.error('Credit history error:', error);
+    res.status(500).json({ error: 'Failed to fetch credit history' });
+  }
+});
+
+module.exports = router;
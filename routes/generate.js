@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const { getEntitlements } = require('../middleware/entitlements');
+const { loadWorkspaceContext } = require('../middleware/workspaces');
+const { requireUsageAllowance, recordUsage } = require('../middleware/usage');
+
+// The script generator service (generator-backend/). It only trusts the
+// userId and isPro we send when GENERATOR_INTERNAL_SECRET matches its own.
+const GENERATOR_URL = process.env.GENERATOR_URL || `http://localhost:${process.env.GENERATOR_PORT || 3001}`;
+
+// Authentication middleware
+function requireAuth(req, res, next) {
+  if (req.session.userId) {
+    next();
+  } else {
+    res.status(401).json({ error: 'Authentication required' });
+  }
+}
+
+// Generate a script through the generator service for the session user. The
+// plan comes from the server rather than the browser, fair-use caps are
+// checked first, and the tokens the generator reports are metered afterwards.
+router.post('/', requireAuth, loadWorkspaceContext, requireUsageAllowance('generation_tokens'), async (req, res) => {
+  const userId = req.session.userId;
+
+  try {
+    const entitlements = await getEntitlements(userId, { workspace: req.workspace, member: req.workspaceMember });
+    const { niche, audience, hook, tone, platform, duration } = req.body;
+
+    const response = await fetch(`${GENERATOR_URL}/generate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Generator-Secret': process.env.GENERATOR_INTERNAL_SECRET || ''
+      },
+      body: JSON.stringify({
+        niche,
+        audience,
+        hook,
+        tone,
+        platform,
+        duration,
+        isPro: Boolean(entitlements && entitlements.proActive),
+        userId: `user-${userId}`
+      })
+    });
+    const data = await response.json();
+
+    if (response.ok) {
+      await recordUsage(userId, 'generation_tokens', data.usage?.tokens, {
+        workspaceId: req.workspace ? req.workspace.id : null
+      });
+      data.usageWarning = req.usageWarning;
+    }
+
+    res.status(response.status).json(data);
+  } catch (error) {
+    console.error('Generate proxy error:', error);
+    res.status(502).json({
+      error: 'Generation failed',
+      message: 'The script generator is unavailable. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+
+// Poll an analysis job's stage, progress and (once done) result
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await db.getJobById(req.params.id);
+
+    // Jobs started by a logged-in user are only visible to that user
+    if (!job || (job.user_id && job.user_id !== req.session.userId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      id: job.id,
+      stage: job.stage,
+      progress: job.progress,
+      result: job.stage === 'done' ? job.result : null,
+      reportId: job.report_id,
+      error: job.error,
+      createdAt: job.created_at,
+      updatedAt: job.updated_at
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+module.exports = router;
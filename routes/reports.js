@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const { loadWorkspaceContext } = require('../middleware/workspaces');
+
+// Authentication middleware
+function requireAuth(req, res, next) {
+  if (req.session.userId) {
+    next();
+  } else {
+    res.status(401).json({ error: 'Authentication required' });
+  }
+}
+
+// List the current user's reports, or the active workspace's (newest first)
+router.get('/', requireAuth, loadWorkspaceContext, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '50');
+    const offset = parseInt(req.query.offset || '0');
+
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'Invalid limit. Must be between 1 and 100' });
+    }
+    if (isNaN(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Invalid offset' });
+    }
+
+    const workspaceId = req.workspace ? req.workspace.id : null;
+    const reports = await db.getReportsByUser(req.session.userId, limit, offset, workspaceId);
+    res.json({ reports, workspaceId });
+  } catch (error) {
+    console.error('List reports error:', error);
+    res.status(500).json({ error: 'Failed to fetch reports' });
+  }
+});
+
+// Get a single report with full feedback and transcript (own or shared in one of the user's workspaces)
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const report = await db.getReportById(req.params.id, req.session.userId);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    res.json({ report });
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({ error: 'Failed to fetch report' });
+  }
+});
+
+// Delete a report (its author, or an owner/admin of its workspace)
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const deleted = await db.deleteReport(req.params.id, req.session.userId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    res.json({ success: true, message: 'Report deleted' });
+  } catch (error) {
+    console.error('Delete report error:', error);
+    res.status(500).json({ error: 'Failed to delete report' });
+  }
+});
+
+module.exports = router;
@@ -3,176 +3,102 @@ console.log("📡 upload.js reached");
 
 // routes/upload.js
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
-const ffmpeg = require('fluent-ffmpeg');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { OpenAI } = require('openai');
+const multer = require('multer');
+const { enqueueAnalysis } = require('../analysis/jobQueue');
+const { requireAnalysisEntitlement, refundAnalysisEntitlement } = require('../middleware/entitlements');
+const { loadWorkspaceContext } = require('../middleware/workspaces');
+const { requireUsageAllowance } = require('../middleware/usage');
 
 const router = express.Router();
-const upload = multer({ dest: 'uploads/' });
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY, {
-  apiEndpoint: 'https://generativelanguage.googleapis.com/v1',
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB || '500');
+
+const upload = multer({
+  dest: 'uploads/',
+  limits: {
+    fileSize: MAX_UPLOAD_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: function (req, file, cb) {
+    if (file.mimetype.startsWith('video/')) {
+      cb(null, true);
+    } else {
+      cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+  }
 });
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-router.post('/', upload.single('video'), async (req, res) => {
-  try {
-    const caption = req.body.caption || '';
-    const videoPath = req.file.path;
-    const audioPath = path.join('uploads', `${req.file.filename}.mp3`);
-
-    // Convert video to audio
-    await new Promise((resolve, reject) => {
-      ffmpeg(videoPath)
-        .output(audioPath)
-        .on('end', resolve)
-        .on('error', reject)
-        .run();
-    });
-
-    // Transcribe
-    const audioFile = fs.createReadStream(audioPath);
-    const transcription = await openai.audio.transcriptions.create({
-      file: audioFile,
-      model: 'whisper-1',
-    });
-    const transcript = transcription.text;
-
-    // Gemini analysis
-    const model = genAI.getGenerativeModel({
-      model: 'models/gemini-1.5-flash',
-    });
-
-  const prompt = `
-⚠️ NEW INSTRUCTION SET — Ignore all previous prompts and context.
-
-You are an AI video analyst. Your job is to analyze the following transcript and caption and return structured feedback.
-
-You MUST return only raw JSON — no markdown, no text, no explanations.
-
-All feedback must be clearly different per category. Don’t reuse the same advice or wording in multiple places.
-
-
-The JSON should match this structure exactly:
-
-{
-  "feedback": {
-    "viralScore": {
-      "score": number, 
-      "label": "string", 
-      "short": "string", 
-      "detail": "string"
-    },
-    "hookStrength": {
-      "score": number,
-      "label": "string",
-      "short": "string",
-      "detail": "string"
-    },
-    "captionClarity": {
-      "score": number,
-      "label": "string",
-      "short": "string",
-      "detail": "string"
-    },
-    "soundMatch": {
-      "score": number,
-      "label": "string",
-      "short": "string",
-      "detail": "string"
-    },
-    "viewerUnderstanding": {
-      "score": number,
-      "label": "string",
-      "short": "string",
-      "detail": "string"
-    },
-    "engagementForecast": {
-      "score": number,
-      "label": "string",
-      "short": "string",
-      "detail": "string"
-    }
+// Authentication middleware
+function requireAuth(req, res, next) {
+  if (req.session.userId) {
+    next();
+  } else {
+    res.status(401).json({ error: 'Authentication required' });
   }
 }
 
-📌 Rules:
-- Do NOT include markdown, explanation, or code blocks.
-- Use \\n only inside feedback text if needed.
-- Labels must be one of: "Excellent", "Strong", "Good", "Okay", "Weak".
-- Score must be a number from 0–100.
-- “Short” should be one punchy sentence (~10–15 words max).
-- “Detail” should be at least 2–3 full sentences. Give specific, non-repetitive advice for improving that score.
-- Be **highly specific and helpful** — don't just say what’s wrong, give *how to fix it*.
-- Avoid repeating the same tip across multiple feedback areas.
-- Base everything strictly on the transcript and caption provided.
-
-
-Transcript:
-"\${transcript}"
-
-Caption:
-"\${caption}"
-`;
-
-
-
-    const result = await model.generateContent([prompt]);
-    const raw = result.response.text();
-
-    let parsed;
-    try {
-    const jsonMatch = raw.match(/\{[\s\S]*\}/);
-parsed = JSON.parse(jsonMatch[0]);
+// Parse the video before anything is spent, answering bad or aborted uploads
+// here rather than in Express's default error handler. A stored video that is
+// not handed to a job (a later check refuses the request) is deleted.
+function receiveVideo(req, res, next) {
+  upload.single('video')(req, res, (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `Video is too large (max ${MAX_UPLOAD_MB} MB)` });
+      }
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({ error: 'Upload a single video file in the "video" field' });
+      }
+      console.error('❌ Upload receive error:', err);
+      return res.status(400).json({ error: 'Upload failed. Please try again.' });
+    }
 
+    if (!req.file) {
+      return res.status(400).json({ error: 'No video uploaded' });
+    }
 
-      // Fallback safety for missing keys
-      function safeCardBlock(obj, key) {
-        const card = obj?.[key];
-        return {
-          score: card?.score ?? 45,
-          label: card?.label ?? "Weak",
-          short: card?.short ?? "No feedback received.",
-          detail: card?.detail ?? "Gemini did not return this metric."
-        };
+    res.on('finish', () => {
+      if (!req.videoQueued) {
+        fs.unlink(req.file.path, () => {});
       }
+    });
+    next();
+  });
+}
 
-      parsed = {
-        feedback: {
-          viralScore: safeCardBlock(parsed.feedback, "viralScore"),
-          hookStrength: safeCardBlock(parsed.feedback, "hookStrength"),
-          captionClarity: safeCardBlock(parsed.feedback, "captionClarity"),
-          soundMatch: safeCardBlock(parsed.feedback, "soundMatch"),
-          viewerUnderstanding: safeCardBlock(parsed.feedback, "viewerUnderstanding"),
-          engagementForecast: safeCardBlock(parsed.feedback, "engagementForecast")
-        }
-      };
-    } catch (err) {
-      console.warn("⚠️ Failed to parse Gemini response. Returning fallback feedback.");
-      parsed = {
-        feedback: {
-          viralScore: { score: 45, label: "Weak", short: "Could not analyze.", detail: "An error occurred during analysis." },
-          hookStrength: { score: 40, label: "Weak", short: "Error", detail: "Unable to evaluate hook." },
-          captionClarity: { score: 40, label: "Weak", short: "Error", detail: "Unable to evaluate caption." },
-          soundMatch: { score: 40, label: "Weak", short: "Error", detail: "Unable to evaluate sound." },
-          viewerUnderstanding: { score: 40, label: "Weak", short: "Error", detail: "Unable to evaluate clarity." },
-          engagementForecast: { score: 40, label: "Weak", short: "Error", detail: "Unable to evaluate engagement." }
-        }
-      };
-    }
+// Queue the upload for analysis and hand back a job id to poll via /api/jobs/:id.
+// The video is received first; then fair-use caps are checked and the
+// entitlement check spends a free analysis or credit, which is given back if
+// queueing fails or the job later fails. In a workspace the report is shared
+// with the workspace. The minutes themselves are metered once the video is measured.
+router.post('/', requireAuth, loadWorkspaceContext, receiveVideo, requireUsageAllowance('analysis_minutes'), requireAnalysisEntitlement, async (req, res) => {
+  const userId = req.session.userId;
+  const workspaceId = req.workspace ? req.workspace.id : null;
 
-    // Clean up
-    fs.unlinkSync(videoPath);
-    fs.unlinkSync(audioPath);
+  try {
+    const jobId = await enqueueAnalysis({
+      userId,
+      workspaceId,
+      file: req.file,
+      caption: req.body.caption || '',
+      entitlement: req.entitlement,
+      creditTransactionId: req.creditTransactionId
+    });
+    req.videoQueued = true;
 
-    res.status(200).json(parsed);
+    res.status(202).json({
+      jobId,
+      stage: 'queued',
+      statusUrl: `/api/jobs/${jobId}`,
+      usageWarning: req.usageWarning
+    });
 
   } catch (err) {
     console.error('❌ Upload error:', err);
+    await refundAnalysisEntitlement(userId, req.entitlement, null, workspaceId).catch(refundErr =>
+      console.error('❌ Failed to refund analysis entitlement:', refundErr)
+    );
     res.status(500).json({ error: 'Analysis failed.' });
   }
 });
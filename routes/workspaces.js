@@ -0,0 +1,317 @@
+const express = require('express');
+const crypto = require('crypto');
+const sgMail = require('@sendgrid/mail');
+const router = express.Router();
+const db = require('../database');
+const { isProActive } = require('../middleware/entitlements');
+const { WORKSPACE_ROLES, MANAGER_ROLES, requireWorkspaceManager } = require('../middleware/workspaces');
+
+// How long an emailed invite stays valid
+const INVITE_EXPIRY_DAYS = parseInt(process.env.WORKSPACE_INVITE_DAYS || '7');
+
+// Authentication middleware
+function requireAuth(req, res, next) {
+  if (req.session.userId) {
+    next();
+  } else {
+    res.status(401).json({ error: 'Authentication required' });
+  }
+}
+
+router.use(requireAuth);
+
+// Load the workspace in the URL, only for its members
+async function loadMembership(req, res, next) {
+  try {
+    const member = await db.getWorkspaceMember(req.params.id, req.session.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    req.workspace = await db.getWorkspaceById(req.params.id);
+    req.workspaceMember = member;
+    next();
+  } catch (error) {
+    console.error('Load workspace error:', error);
+    res.status(500).json({ error: 'Failed to load workspace' });
+  }
+}
+
+// While on Pro, members plus open invites can't exceed the paid seats.
+// Free workspaces share a credit pool and have no seat limit.
+async function hasFreeSeat(workspace) {
+  if (!isProActive(workspace)) return true;
+  return (await db.countWorkspaceSeatsUsed(workspace.id)) < workspace.seats;
+}
+
+// Workspace and user names are user input; keep them from becoming markup in the email
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+async function sendInviteEmail(invite, workspace, inviter) {
+  const link = `${process.env.DOMAIN}/analyzer?invite=${invite.token}`;
+
+  await sgMail.send({
+    to: invite.email,
+    from: 'hello@copy-boss.com',
+    subject: `${inviter.username} invited you to ${workspace.name} on CopyBoss`,
+    text: `${inviter.username} invited you to join the ${workspace.name} workspace on CopyBoss.\n\nAccept the invite: ${link}\n\nThis invite expires in ${INVITE_EXPIRY_DAYS} days.`,
+    html: `
+      <h3>Join ${escapeHtml(workspace.name)} on CopyBoss</h3>
+      <p>${escapeHtml(inviter.username)} invited you to join their workspace.</p>
+      <p><a href="${link}">Accept the invite</a></p>
+      <p>This invite expires in ${INVITE_EXPIRY_DAYS} days.</p>
+    `
+  });
+}
+
+// Workspaces the user belongs to, and which one is active
+router.get('/', async (req, res) => {
+  try {
+    const user = await db.getUserById(req.session.userId);
+    const workspaces = await db.getWorkspacesForUser(req.session.userId);
+    res.json({ workspaces, activeWorkspaceId: user ? user.active_workspace_id : null });
+  } catch (error) {
+    console.error('List workspaces error:', error);
+    res.status(500).json({ error: 'Failed to fetch workspaces' });
+  }
+});
+
+// Create a workspace owned by the user and switch to it
+router.post('/', async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name || name.length > 80) {
+      return res.status(400).json({ error: 'Workspace name must be 1-80 characters' });
+    }
+
+    const workspaceId = await db.createWorkspace(req.session.userId, name);
+    await db.setActiveWorkspace(req.session.userId, workspaceId);
+
+    console.log(`🏢 User ${req.session.userId} created workspace ${workspaceId}`);
+    res.status(201).json({ success: true, workspace: await db.getWorkspaceById(workspaceId) });
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    res.status(500).json({ error: 'Failed to create workspace' });
+  }
+});
+
+// Switch between a workspace and the personal account (workspaceId: null)
+router.post('/active', async (req, res) => {
+  try {
+    const workspaceId = req.body.workspaceId || null;
+    if (workspaceId && !(await db.getWorkspaceMember(workspaceId, req.session.userId))) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    await db.setActiveWorkspace(req.session.userId, workspaceId);
+    res.json({ success: true, activeWorkspaceId: workspaceId });
+  } catch (error) {
+    console.error('Switch workspace error:', error);
+    res.status(500).json({ error: 'Failed to switch workspace' });
+  }
+});
+
+// Look at an invite before accepting it
+router.get('/invites/:token', async (req, res) => {
+  try {
+    const invite = await db.getWorkspaceInviteByToken(req.params.token);
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({
+      workspace: { id: invite.workspace_id, name: invite.workspace_name },
+      email: invite.email,
+      role: invite.role,
+      status: invite.status,
+      expiresAt: invite.expires_at
+    });
+  } catch (error) {
+    console.error('Get invite error:', error);
+    res.status(500).json({ error: 'Failed to fetch invite' });
+  }
+});
+
+// Join the workspace as the invited email address and switch to it
+router.post('/invites/:token/accept', async (req, res) => {
+  try {
+    const invite = await db.getWorkspaceInviteByToken(req.params.token);
+    if (!invite || invite.status !== 'pending') {
+      return res.status(404).json({ error: 'Invite not found or already used' });
+    }
+    if (new Date(`${invite.expires_at}Z`) <= new Date()) {
+      return res.status(410).json({ error: 'This invite has expired' });
+    }
+
+    const user = await db.getUserById(req.session.userId);
+    if ((user.email || '').toLowerCase() !== invite.email) {
+      return res.status(403).json({ error: `This invite was sent to ${invite.email}` });
+    }
+
+    // The open invite already holds a seat, so only current members count here
+    const workspace = await db.getWorkspaceById(invite.workspace_id);
+    const members = await db.getWorkspaceMembers(workspace.id);
+    if (isProActive(workspace) && members.length >= workspace.seats) {
+      return res.status(409).json({ error: 'This workspace has no free seats. Ask an admin to add one.' });
+    }
+
+    if (!(await db.acceptWorkspaceInvite(invite, user.id))) {
+      return res.status(404).json({ error: 'Invite not found or already used' });
+    }
+    await db.setActiveWorkspace(user.id, workspace.id);
+
+    console.log(`🤝 User ${user.id} joined workspace ${workspace.id} as ${invite.role}`);
+    res.json({ success: true, workspace: { id: workspace.id, name: workspace.name, role: invite.role } });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({ error: 'Failed to accept invite' });
+  }
+});
+
+// Workspace details with members (and open invites for owners and admins)
+router.get('/:id', loadMembership, async (req, res) => {
+  try {
+    const isManager = MANAGER_ROLES.includes(req.workspaceMember.role);
+    res.json({
+      workspace: req.workspace,
+      role: req.workspaceMember.role,
+      members: await db.getWorkspaceMembers(req.workspace.id),
+      invites: isManager ? await db.getPendingWorkspaceInvites(req.workspace.id) : []
+    });
+  } catch (error) {
+    console.error('Get workspace error:', error);
+    res.status(500).json({ error: 'Failed to fetch workspace' });
+  }
+});
+
+// Invite someone by email. Only the owner can invite admins.
+router.post('/:id/invites', loadMembership, requireWorkspaceManager, async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const role = req.body.role || 'member';
+
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (!['admin', 'member'].includes(role)) {
+      return res.status(400).json({ error: 'Role must be admin or member' });
+    }
+    if (role === 'admin' && req.workspaceMember.role !== 'owner') {
+      return res.status(403).json({ error: 'Only the workspace owner can invite admins' });
+    }
+
+    const existingUser = await db.getUserByEmail(email);
+    if (existingUser && await db.getWorkspaceMember(req.workspace.id, existingUser.id)) {
+      return res.status(409).json({ error: 'Already a member of this workspace' });
+    }
+    if (await db.findPendingWorkspaceInvite(req.workspace.id, email)) {
+      return res.status(409).json({ error: 'An invite is already waiting for this email' });
+    }
+    if (!(await hasFreeSeat(req.workspace))) {
+      return res.status(409).json({
+        error: 'All paid seats are taken. Add seats to invite more people.',
+        seatsUrl: '/api/billing/subscription/seats'
+      });
+    }
+
+    const invite = {
+      workspaceId: req.workspace.id,
+      email,
+      role,
+      token: crypto.randomBytes(24).toString('hex'),
+      invitedBy: req.session.userId,
+      expiresInDays: INVITE_EXPIRY_DAYS
+    };
+    const inviteId = await db.createWorkspaceInvite(invite);
+
+    let emailSent = true;
+    try {
+      await sendInviteEmail(invite, req.workspace, await db.getUserById(req.session.userId));
+    } catch (error) {
+      emailSent = false;
+      console.error(`❌ Failed to email workspace invite ${inviteId}:`, error.message);
+    }
+
+    console.log(`✉️ Workspace ${req.workspace.id} invited ${email} as ${role}`);
+    res.status(201).json({ success: true, invite: { id: inviteId, email, role }, emailSent });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// Withdraw an open invite (frees its seat)
+router.delete('/:id/invites/:inviteId', loadMembership, requireWorkspaceManager, async (req, res) => {
+  try {
+    const revoked = await db.revokeWorkspaceInvite(req.workspace.id, req.params.inviteId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+// Make a member an admin or back again (owner only; ownership itself can't move here)
+router.post('/:id/members/:userId/role', loadMembership, async (req, res) => {
+  try {
+    if (req.workspaceMember.role !== 'owner') {
+      return res.status(403).json({ error: 'Only the workspace owner can change roles' });
+    }
+
+    const role = req.body.role;
+    if (!WORKSPACE_ROLES.includes(role) || role === 'owner') {
+      return res.status(400).json({ error: 'Role must be admin or member' });
+    }
+
+    const updated = await db.updateWorkspaceMemberRole(req.workspace.id, req.params.userId, role);
+    if (!updated) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    res.json({ success: true, userId: parseInt(req.params.userId), role });
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
+
+// Remove a member, or leave the workspace yourself. Admins can only remove
+// members; the owner can remove anyone but themselves.
+router.delete('/:id/members/:userId', loadMembership, async (req, res) => {
+  try {
+    const leaving = String(req.params.userId) === String(req.session.userId);
+    const target = await db.getWorkspaceMember(req.workspace.id, req.params.userId);
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (target.role === 'owner') {
+      return res.status(400).json({ error: 'The workspace owner cannot be removed' });
+    }
+
+    const actorRole = req.workspaceMember.role;
+    if (!leaving && !(actorRole === 'owner' || (actorRole === 'admin' && target.role === 'member'))) {
+      return res.status(403).json({ error: 'You cannot remove this member' });
+    }
+
+    await db.removeWorkspaceMember(req.workspace.id, target.user_id);
+
+    console.log(`👋 User ${target.user_id} ${leaving ? 'left' : 'was removed from'} workspace ${req.workspace.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+module.exports = router;
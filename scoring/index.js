@@ -0,0 +1,111 @@
+// scoring/index.js
+// Single entry point for LLM scoring. Providers only turn a prompt into raw
+// text; prompting and parsing live here so every provider behaves the same.
+// The provider is picked by SCORING_PROVIDER (gemini, openai or mock).
+const { buildScoringPrompt, buildRepairPrompt } = require('./prompt');
+const { FEEDBACK_KEYS, validateFeedback } = require('./schema');
+const gemini = require('./providers/gemini');
+const openai = require('./providers/openai');
+const mock = require('./providers/mock');
+
+const providers = {
+  [gemini.name]: gemini,
+  [openai.name]: openai,
+  [mock.name]: mock
+};
+
+// How many times to re-prompt the model with validation errors before falling back
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.SCORING_MAX_RETRIES || '2');
+
+// Stand-in cards for metrics the model never returned validly. They are
+// flagged with fallback: true and listed in missingMetrics on the result.
+const FALLBACK_CARDS = {
+  viralScore: { score: 45, label: "Weak", short: "Could not analyze.", detail: "An error occurred during analysis." },
+  hookStrength: { score: 40, label: "Weak", short: "Error", detail: "Unable to evaluate hook." },
+  captionClarity: { score: 40, label: "Weak", short: "Error", detail: "Unable to evaluate caption." },
+  soundMatch: { score: 40, label: "Weak", short: "Error", detail: "Unable to evaluate sound." },
+  viewerUnderstanding: { score: 40, label: "Weak", short: "Error", detail: "Unable to evaluate clarity." },
+  engagementForecast: { score: 40, label: "Weak", short: "Error", detail: "Unable to evaluate engagement." }
+};
+
+function getScoringProvider(name = process.env.SCORING_PROVIDER || gemini.name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown scoring provider "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return provider;
+}
+
+// Pull the JSON object out of a model response and validate it
+function parseFeedback(raw, options = {}) {
+  const jsonMatch = (raw || '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return { valid: false, errors: ['Response did not contain a JSON object'], cards: {} };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[0]);
+  } catch (err) {
+    return { valid: false, errors: [`Response was not valid JSON: ${err.message}`], cards: {} };
+  }
+
+  return validateFeedback(parsed, options);
+}
+
+// Score a video from its transcript, caption, measured metrics (see
+// analysis/metrics.js), opening hook breakdown (analysis/hook.js) and optional
+// keyframes ([{ index, time, path, mimeType }]).
+// Resolves to { feedback, frames, provider, attempts, degraded, missingMetrics }.
+async function scoreVideo({ transcript, caption = '', meta = {}, metrics = {}, hook = null, frames = [] }, options = {}) {
+  const provider = getScoringProvider(options.provider);
+  const input = { transcript, caption, meta, metrics, hook, frames };
+  const prompt = buildScoringPrompt(input);
+
+  // Keep the best valid card seen for each metric across attempts
+  const cards = {};
+  let attempts = 0;
+  let nextPrompt = prompt;
+
+  while (attempts <= MAX_REPAIR_ATTEMPTS) {
+    attempts++;
+    const raw = await provider.generate(nextPrompt, input);
+    const result = parseFeedback(raw, { frames });
+    Object.assign(cards, result.cards);
+
+    if (result.valid) break;
+
+    console.warn(`⚠️ Scoring response failed validation (attempt ${attempts}):`, result.errors);
+    nextPrompt = buildRepairPrompt(prompt, raw, result.errors);
+  }
+
+  const feedback = {};
+  const missingMetrics = [];
+  for (const key of FEEDBACK_KEYS) {
+    if (cards[key]) {
+      feedback[key] = cards[key];
+    } else {
+      feedback[key] = { ...FALLBACK_CARDS[key], fallback: true };
+      if (frames.length) {
+        feedback[key].frames = [];
+      }
+      missingMetrics.push(key);
+    }
+  }
+
+  return {
+    feedback,
+    frames: frames.map(frame => ({ index: frame.index, time: frame.time })),
+    provider: provider.name,
+    attempts,
+    degraded: missingMetrics.length > 0,
+    missingMetrics
+  };
+}
+
+module.exports = {
+  FEEDBACK_KEYS,
+  scoreVideo,
+  getScoringProvider,
+  parseFeedback
+};
@@ -0,0 +1,151 @@
+// scoring/prompt.js
+// The single scoring prompt shared by every provider.
+
+// Instructions for the keyframes that providers attach after the prompt
+function buildFramesBlock(frames) {
+  if (!frames || !frames.length) return '';
+
+  return `
+🎞️ Keyframes:
+You are also given ${frames.length} keyframes from the video, attached after this prompt in playback order and labelled "Frame N (Xs)".
+The first frames are sampled densely from the opening 3 seconds; the rest are spread across the video.
+- Judge "hookStrength" on what is on screen in the opening frames as well as what is said: on-screen text, faces, motion and how quickly the shot changes.
+- Judge "viewerUnderstanding" on whether the visuals (text overlays, framing, cuts) make the message easy to follow.
+- Add a "frames" array to EVERY card listing the frame numbers (e.g. [1, 2, 5]) that most influenced that score. "hookStrength" and "viewerUnderstanding" must list at least one frame. Use [] for a card the frames didn't affect.
+`;
+}
+
+// Measured numbers the model should treat as facts rather than guess at
+function buildMetricsBlock(metrics) {
+  const known = Object.entries(metrics || {}).filter(([, value]) => value !== null && value !== undefined);
+  if (!known.length) return '';
+
+  return `
+📏 Measured metrics (computed from the file, treat these as facts):
+${known.map(([key, value]) => `- ${key}: ${value}`).join('\n')}
+- Ground "soundMatch" in loudnessLufs (about -14 LUFS is typical for short-form), silenceAtStart and wordsPerMinute.
+- Ground "hookStrength" in silenceAtStart, cutsPerSecond and orientation (vertical suits short-form feeds).
+- Refer to the relevant numbers in those cards' "detail" text.
+`;
+}
+
+// What is said in the opening seconds, so hookStrength judges the real hook
+function buildHookBlock(hook) {
+  if (!hook) return '';
+
+  const lines = [
+    `- Spoken: "${hook.text}"`,
+    `- First word at: ${hook.firstSpeechAt === null ? 'never' : `${hook.firstSpeechAt}s`}`,
+    ...hook.issues.map(issue => `- Flagged: ${issue}`),
+    '- Judge "hookStrength" on these opening seconds specifically, and quote the opening line you would rewrite.'
+  ];
+
+  return `
+🪝 Opening ${hook.windowSeconds} seconds:
+${lines.join('\n')}
+`;
+}
+
+// meta: optional extra context about the upload (file name, ...)
+// metrics: measured media metrics from analysis/metrics.js
+// hook: opening-window breakdown from analysis/hook.js
+// frames: optional keyframes ([{ index, time, path }]) sent alongside the prompt
+function buildScoringPrompt({ transcript, caption, meta, metrics, hook, frames }) {
+  const metaBlock = meta && Object.keys(meta).length
+    ? `\nVideo details:\n${JSON.stringify(meta, null, 2)}\n`
+    : '';
+  const metricsBlock = buildMetricsBlock(metrics);
+  const hookBlock = buildHookBlock(hook);
+  const framesBlock = buildFramesBlock(frames);
+
+  return `
+⚠️ NEW INSTRUCTION SET — Ignore all previous prompts and context.
+
+You are an AI video analyst. Your job is to analyze the following transcript and caption and return structured feedback.
+
+You MUST return only raw JSON — no markdown, no text, no explanations.
+
+All feedback must be clearly different per category. Don’t reuse the same advice or wording in multiple places.
+
+
+The JSON should match this structure exactly:
+
+{
+  "feedback": {
+    "viralScore": {
+      "score": number, 
+      "label": "string", 
+      "short": "string", 
+      "detail": "string"
+    },
+    "hookStrength": {
+      "score": number,
+      "label": "string",
+      "short": "string",
+      "detail": "string"
+    },
+    "captionClarity": {
+      "score": number,
+      "label": "string",
+      "short": "string",
+      "detail": "string"
+    },
+    "soundMatch": {
+      "score": number,
+      "label": "string",
+      "short": "string",
+      "detail": "string"
+    },
+    "viewerUnderstanding": {
+      "score": number,
+      "label": "string",
+      "short": "string",
+      "detail": "string"
+    },
+    "engagementForecast": {
+      "score": number,
+      "label": "string",
+      "short": "string",
+      "detail": "string"
+    }
+  }
+}
+
+📌 Rules:
+- Do NOT include markdown, explanation, or code blocks.
+- Use \\n only inside feedback text if needed.
+- Labels must be one of: "Excellent", "Strong", "Good", "Okay", "Weak".
+- Score must be a number from 0–100.
+- “Short” should be one punchy sentence (~10–15 words max).
+- “Detail” should be at least 2–3 full sentences. Give specific, non-repetitive advice for improving that score.
+- Be **highly specific and helpful** — don't just say what’s wrong, give *how to fix it*.
+- Avoid repeating the same tip across multiple feedback areas.
+- Base everything strictly on the transcript, caption, measured metrics and any keyframes provided.
+${metricsBlock}${hookBlock}${framesBlock}
+
+Transcript:
+"${transcript}"
+
+Caption:
+"${caption}"
+${metaBlock}`;
+}
+
+// Ask the model to fix a response that failed schema validation
+function buildRepairPrompt(originalPrompt, previousResponse, errors) {
+  return `${originalPrompt}
+
+Your previous response did not match the required JSON structure:
+
+${previousResponse}
+
+It had these problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the complete corrected JSON for all six feedback areas. Raw JSON only.`;
+}
+
+module.exports = {
+  buildScoringPrompt,
+  buildRepairPrompt
+};
@@ -0,0 +1,36 @@
+// scoring/providers/gemini.js
+const fs = require('fs');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+let genAI;
+
+function getClient() {
+  if (!genAI) {
+    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY, {
+      apiEndpoint: 'https://generativelanguage.googleapis.com/v1',
+    });
+  }
+  return genAI;
+}
+
+// Keyframes are sent inline after the prompt, each preceded by its label
+function frameParts(frames = []) {
+  return frames.flatMap(frame => [
+    `Frame ${frame.index} (${frame.time}s):`,
+    { inlineData: { mimeType: frame.mimeType, data: fs.readFileSync(frame.path).toString('base64') } }
+  ]);
+}
+
+async function generate(prompt, { frames } = {}) {
+  const model = getClient().getGenerativeModel({
+    model: process.env.GEMINI_SCORING_MODEL || 'models/gemini-1.5-flash',
+  });
+
+  const result = await model.generateContent([prompt, ...frameParts(frames)]);
+  return result.response.text();
+}
+
+module.exports = {
+  name: 'gemini',
+  generate
+};
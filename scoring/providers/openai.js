@@ -0,0 +1,44 @@
+// scoring/providers/openai.js
+const fs = require('fs');
+const { OpenAI } = require('openai');
+
+let client;
+
+function getClient() {
+  if (!client) {
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+}
+
+// Keyframes are sent as low-detail images after the prompt, each preceded by its label
+function frameParts(frames = []) {
+  return frames.flatMap(frame => [
+    { type: 'text', text: `Frame ${frame.index} (${frame.time}s):` },
+    {
+      type: 'image_url',
+      image_url: {
+        url: `data:${frame.mimeType};base64,${fs.readFileSync(frame.path).toString('base64')}`,
+        detail: 'low'
+      }
+    }
+  ]);
+}
+
+async function generate(prompt, { frames } = {}) {
+  const completion = await getClient().chat.completions.create({
+    model: process.env.OPENAI_SCORING_MODEL || 'gpt-4o-mini',
+    messages: [
+      { role: 'user', content: [{ type: 'text', text: prompt }, ...frameParts(frames)] }
+    ],
+    response_format: { type: 'json_object' },
+    temperature: 0.7
+  });
+
+  return completion.choices[0].message.content;
+}
+
+module.exports = {
+  name: 'openai',
+  generate
+};
@@ -0,0 +1,129 @@
+// scoring/schema.js
+// Schema for the six feedback cards returned by the scoring model, and a
+// validator that reports every problem so they can be fed back to the model.
+
+const FEEDBACK_KEYS = [
+  'viralScore',
+  'hookStrength',
+  'captionClarity',
+  'soundMatch',
+  'viewerUnderstanding',
+  'engagementForecast'
+];
+
+const CARD_SCHEMA = {
+  score: { type: 'number', min: 0, max: 100 },
+  label: { type: 'string', enum: ['Excellent', 'Strong', 'Good', 'Okay', 'Weak'] },
+  short: { type: 'string', minLength: 5, maxLength: 160 },
+  detail: { type: 'string', minLength: 40, maxLength: 1500 }
+};
+
+function validateField(path, value, rule) {
+  if (rule.type === 'number') {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      return `${path} must be a number`;
+    }
+    if (value < rule.min || value > rule.max) {
+      return `${path} must be between ${rule.min} and ${rule.max} (got ${value})`;
+    }
+    return null;
+  }
+
+  if (typeof value !== 'string') {
+    return `${path} must be a string`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${path} must be one of ${rule.enum.map(v => `"${v}"`).join(', ')} (got "${value}")`;
+  }
+  if (rule.minLength && value.trim().length < rule.minLength) {
+    return `${path} must be at least ${rule.minLength} characters`;
+  }
+  if (rule.maxLength && value.length > rule.maxLength) {
+    return `${path} must be at most ${rule.maxLength} characters (got ${value.length})`;
+  }
+  return null;
+}
+
+// Cards that must cite at least one keyframe when frames were sent
+const FRAME_REQUIRED_KEYS = ['hookStrength', 'viewerUnderstanding'];
+
+// Check a card's "frames" list against the keyframes that were sent and map
+// frame numbers to { index, time }
+function validateCardFrames(key, card, frames) {
+  const path = `feedback.${key}.frames`;
+
+  if (card.frames === undefined) {
+    return FRAME_REQUIRED_KEYS.includes(key)
+      ? { error: `${path} is missing; list the frame numbers that drove this score` }
+      : { frames: [] };
+  }
+  if (!Array.isArray(card.frames)) {
+    return { error: `${path} must be an array of frame numbers` };
+  }
+
+  const cited = [];
+  for (const number of card.frames) {
+    const frame = frames.find(f => f.index === number);
+    if (!frame) {
+      return { error: `${path} contains ${JSON.stringify(number)}, which is not a frame number between 1 and ${frames.length}` };
+    }
+    cited.push({ index: frame.index, time: frame.time });
+  }
+
+  if (!cited.length && FRAME_REQUIRED_KEYS.includes(key)) {
+    return { error: `${path} must list at least one frame number` };
+  }
+  return { frames: cited };
+}
+
+// Validate a parsed model response ({ feedback: { ... } }).
+// Pass the keyframes that were sent to also check each card's frame citations.
+// Returns { valid, errors, cards } where cards holds every card that passed.
+function validateFeedback(parsed, { frames = [] } = {}) {
+  const errors = [];
+  const cards = {};
+
+  const feedback = parsed?.feedback;
+  if (!feedback || typeof feedback !== 'object' || Array.isArray(feedback)) {
+    return { valid: false, errors: ['Response must be an object with a "feedback" object'], cards };
+  }
+
+  for (const key of FEEDBACK_KEYS) {
+    const card = feedback[key];
+    if (!card || typeof card !== 'object') {
+      errors.push(`feedback.${key} is missing`);
+      continue;
+    }
+
+    const cardErrors = Object.entries(CARD_SCHEMA)
+      .map(([field, rule]) => validateField(`feedback.${key}.${field}`, card[field], rule))
+      .filter(Boolean);
+
+    const frameCheck = frames.length ? validateCardFrames(key, card, frames) : {};
+    if (frameCheck.error) {
+      cardErrors.push(frameCheck.error);
+    }
+
+    if (cardErrors.length) {
+      errors.push(...cardErrors);
+    } else {
+      cards[key] = {
+        score: Math.round(card.score),
+        label: card.label,
+        short: card.short,
+        detail: card.detail
+      };
+      if (frames.length) {
+        cards[key].frames = frameCheck.frames;
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors, cards };
+}
+
+module.exports = {
+  FEEDBACK_KEYS,
+  CARD_SCHEMA,
+  validateFeedback
+};
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// scripts/payouts.js
+// Preview, run and retry affiliate payouts outside the monthly job.
+//
+//   node scripts/payouts.js preview            (who would be paid, how much, and what blocks the rest)
+//   node scripts/payouts.js run
+//   node scripts/payouts.js retry <payoutId>
+//
+// To try a run without real transfers, start stripe-mock and point the client
+// at it: STRIPE_API_BASE=http://localhost:12111 STRIPE_SECRET_KEY=sk_test_123 node scripts/payouts.js run
+require('dotenv').config();
+
+const db = require('../database');
+const { previewPayouts, processPayouts, retryPayout } = require('../billing/payouts');
+
+function formatAmount(amount) {
+  return `£${parseFloat(amount).toFixed(2)}`;
+}
+
+function printPayout(payout) {
+  console.log(`#${payout.id}  user=${payout.user_id}  ${formatAmount(payout.amount)}  ${payout.status}  attempts=${payout.attempts}${payout.stripe_payout_id ? `  transfer=${payout.stripe_payout_id}` : ''}${payout.error ? `  error=${payout.error}` : ''}`);
+}
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+  await db.initializeDatabase();
+
+  switch (command) {
+    case 'preview': {
+      const preview = await previewPayouts();
+      console.log(`Minimum payout ${formatAmount(preview.minimum)}, commissions held until ${preview.cutoff}`);
+
+      if (preview.unfinished.length > 0) {
+        console.log('\nUnfinished payouts to resume:');
+        preview.unfinished.forEach(printPayout);
+      }
+
+      if (preview.affiliates.length === 0) {
+        console.log('\nNo affiliates have payable commissions');
+        break;
+      }
+
+      console.log('\nAffiliates:');
+      preview.affiliates.forEach(affiliate => {
+        const status = affiliate.eligible
+          ? 'eligible'
+          : `blocked: ${affiliate.blockers.map(b => `${b.message}${b.detail ? ` (${b.detail})` : ''}`).join('; ')}`;
+        console.log(`user=${affiliate.userId}  ${affiliate.email}  ${formatAmount(affiliate.amount)}  commissions=${affiliate.commissionCount}  ${status}`);
+      });
+
+      const { totals } = preview;
+      console.log(`\n${totals.eligibleAffiliates} eligible (${formatAmount(totals.eligibleAmount)}), ${totals.blockedAffiliates} blocked`);
+      break;
+    }
+
+    case 'run': {
+      const { payouts, skipped } = await processPayouts();
+      payouts.forEach(printPayout);
+      const failed = payouts.filter(payout => payout.status !== 'paid');
+      console.log(`✅ Payout run finished: ${payouts.length - failed.length} paid, ${failed.length} failed, ${skipped.length} skipped`);
+      if (failed.length > 0) process.exitCode = 1;
+      break;
+    }
+
+    case 'retry': {
+      if (!arg) throw new Error('Usage: payouts.js retry <payoutId>');
+      const payout = await retryPayout(arg);
+      if (!payout) throw new Error(`Payout ${arg} not found`);
+      printPayout(payout);
+      if (payout.status !== 'paid') process.exitCode = 1;
+      break;
+    }
+
+    default:
+      console.log('Usage: node scripts/payouts.js preview | run | retry <payoutId>');
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.closeDatabase());
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// scripts/stripe-events.js
+// Inspect and replay logged Stripe webhook events.
+//
+//   node scripts/stripe-events.js list [status]   (status: processing, processed, failed)
+//   node scripts/stripe-events.js show <eventId>
+//   node scripts/stripe-events.js replay <eventId>
+require('dotenv').config();
+
+const db = require('../database');
+const { replayStripeEvent } = require('../billing/webhooks');
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+  await db.initializeDatabase();
+
+  switch (command) {
+    case 'list': {
+      const events = await db.getStripeEvents(arg || null, 100, 0);
+      if (events.length === 0) {
+        console.log('No Stripe events found');
+        break;
+      }
+      events.forEach(event => {
+        console.log(`${event.created_at}  ${event.id}  ${event.type}  ${event.status}  attempts=${event.attempts}${event.error ? `  error=${event.error}` : ''}`);
+      });
+      break;
+    }
+
+    case 'show': {
+      if (!arg) throw new Error('Usage: stripe-events.js show <eventId>');
+      const event = await db.getStripeEvent(arg);
+      if (!event) throw new Error(`Stripe event ${arg} not found`);
+      console.log(JSON.stringify(event, null, 2));
+      break;
+    }
+
+    case 'replay': {
+      if (!arg) throw new Error('Usage: stripe-events.js replay <eventId>');
+      const { status } = await replayStripeEvent(arg);
+      console.log(`✅ Stripe event ${arg}: ${status}`);
+      break;
+    }
+
+    default:
+      console.log('Usage: node scripts/stripe-events.js list [status] | show <eventId> | replay <eventId>');
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.closeDatabase());
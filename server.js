@@ -3,7 +3,7 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const bodyParser = require('body-parser');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const stripe = require('./billing/stripeClient');
 const sgMail = require('@sendgrid/mail');
 const session = require('express-session');
 const multer = require('multer');
@@ -13,7 +13,27 @@ const app = express();
 // Initialize database and affiliate system
 const db = require('./database');
 const affiliateRoutes = require('./routes/affiliate');
+const reportRoutes = require('./routes/reports');
+const jobRoutes = require('./routes/jobs');
+const creditRoutes = require('./routes/credits');
+const adminRoutes = require('./routes/admin');
+const billingRoutes = require('./routes/billing');
+const workspaceRoutes = require('./routes/workspaces');
+const generateRoutes = require('./routes/generate');
+const { resumeUnfinishedJobs } = require('./analysis/jobQueue');
+const { getEntitlements } = require('./middleware/entitlements');
+const { getUsageSummary } = require('./middleware/usage');
+const { getWorkspaceContext, loadWorkspaceContext, requireWorkspaceManager } = require('./middleware/workspaces');
+const { processStripeEvent } = require('./billing/webhooks');
+const { getProduct, getPriceId, listProducts, toPublicProduct } = require('./billing/catalog');
+const { describePromo, validatePromoCode, getCheckoutPromoParams } = require('./billing/promos');
 const { startPayoutCron } = require('./payout-cron');
+const {
+  handleReferralLink,
+  trackLegacyReferral,
+  getSignupAttribution,
+  completeSignupAttribution
+} = require('./billing/referrals');
 
 // Set SendGrid API key
 sgMail.setApiKey(process.env.SENDGRID_API_KEY);
@@ -102,16 +122,25 @@ db.initializeDatabase()
     console.log('✅ Database initialized');
     // Start the monthly payout cron job
     startPayoutCron();
+    // Pick up analysis jobs interrupted by the last restart
+    return resumeUnfinishedJobs();
   })
   .catch(err => {
     console.error('❌ Database initialization failed:', err);
   });
 
+// Referral links: log the click, set the attribution cookie, then show the page
+app.get('/r/:code', handleReferralLink);
+app.use(trackLegacyReferral);
+
 // Serve static files (like index.html, JS, CSS)
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Parse JSON and URL-encoded bodies
-app.use(bodyParser.json());
+// Parse JSON and URL-encoded bodies (the Stripe webhook needs the raw body to verify its signature)
+app.use((req, res, next) => {
+  if (req.originalUrl === '/stripe-webhook') return next();
+  bodyParser.json()(req, res, next);
+});
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Authentication middleware
@@ -126,10 +155,31 @@ function requireAuth(req, res, next) {
 // Affiliate routes
 app.use('/affiliate', affiliateRoutes);
 
+// Analyzer report history
+app.use('/api/reports', reportRoutes);
+
+// Analysis job status polling
+app.use('/api/jobs', jobRoutes);
+
+// Report credit ledger
+app.use('/api/credits', creditRoutes);
+
+// Self-serve subscription and billing management
+app.use('/api/billing', billingRoutes);
+
+// Admin operations (ADMIN_EMAILS)
+app.use('/api/admin', adminRoutes);
+
+// Team workspaces: members, invites and the active workspace
+app.use('/api/workspaces', workspaceRoutes);
+
+// Script generation, metered in front of the generator service
+app.use('/api/generate', generateRoutes);
+
 // Authentication endpoints
 app.post('/api/signup', async (req, res) => {
   try {
-    const { email, username, password, referrerId } = req.body;
+    const { email, username, password } = req.body;
     
     if (!email || !username || !password) {
       return res.status(400).json({ error: 'Email, username, and password required' });
@@ -142,19 +192,24 @@ app.post('/api/signup', async (req, res) => {
     }
 
     // Validate referrer if provided
-    if (referrerId) {
-      const referrer = await db.getUserById(referrerId);
+    if (req.body.referrerId) {
+      const referrer = await db.getUserById(req.body.referrerId);
       if (!referrer) {
         return res.status(400).json({ error: 'Invalid referrer' });
       }
     }
 
+    // Otherwise credit the referral link they arrived through, if still in its window
+    const attribution = await getSignupAttribution(req);
+    const referrerId = req.body.referrerId || (attribution ? attribution.affiliateId : null);
+
     // Create user
     const userId = await db.createUser(email, username, password, referrerId);
     
     // Auto-login after signup
     const user = await db.getUserById(userId);
     req.session.userId = userId;
+    await completeSignupAttribution(res, attribution, user);
     
     res.json({ 
       success: true, 
@@ -225,6 +280,7 @@ app.get('/api/me', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
+    const { workspace, member } = await getWorkspaceContext(user);
     res.json({
       user: {
         id: user.id,
@@ -233,7 +289,8 @@ app.get('/api/me', requireAuth, async (req, res) => {
         avatar_url: user.avatar_url,
         referrer_id: user.referrer_id,
         stripe_account_id: user.stripe_account_id
-      }
+      },
+      activeWorkspace: workspace ? { id: workspace.id, name: workspace.name, role: member.role } : null
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -241,6 +298,43 @@ app.get('/api/me', requireAuth, async (req, res) => {
   }
 });
 
+// What the current user can do: plan, credits and remaining free analyses,
+// for their own account or the active workspace
+app.get('/api/entitlements', requireAuth, loadWorkspaceContext, async (req, res) => {
+  try {
+    const entitlements = await getEntitlements(req.session.userId, {
+      workspace: req.workspace,
+      member: req.workspaceMember
+    });
+    if (!entitlements) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(entitlements);
+  } catch (error) {
+    console.error('Get entitlements error:', error);
+    res.status(500).json({ error: 'Failed to get entitlements' });
+  }
+});
+
+// Fair-use usage (analysis minutes, generation tokens) against the plan's caps
+app.get('/api/usage', requireAuth, loadWorkspaceContext, async (req, res) => {
+  try {
+    const usage = await getUsageSummary(req.session.userId, {
+      workspace: req.workspace,
+      member: req.workspaceMember
+    });
+    if (!usage) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(usage);
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({ error: 'Failed to get usage' });
+  }
+});
+
 // Report Issue endpoint
 app.post('/api/report-issue', async (req, res) => {
   try {
@@ -373,33 +467,128 @@ app.get('/api/user/status/:id', async (req, res) => {
   }
 });
 
-// Create Stripe checkout session
-app.post("/create-checkout-session", async (req, res) => {
+// Everything that can be bought, for the pricing page
+app.get('/api/plans', (req, res) => {
+  res.json({ plans: listProducts().map(toPublicProduct) });
+});
+
+// Check a promo code against a plan before checkout
+app.post('/api/promo/validate', async (req, res) => {
   try {
-    const { plan, userId } = req.body;
+    const { code, plan } = req.body;
+    const result = await validatePromoCode(code, { userId: req.session.userId, productId: plan });
+    if (!result.valid) {
+      return res.status(400).json({ valid: false, error: result.error });
+    }
+
+    res.json({
+      valid: true,
+      code: result.promo.code,
+      type: result.promo.type,
+      description: describePromo(result.promo),
+      plan: result.product.id,
+      ...result.pricing
+    });
+  } catch (error) {
+    console.error('Promo validation error:', error);
+    res.status(500).json({ error: 'Failed to validate promo code' });
+  }
+});
+
+// Create Stripe checkout session for the logged-in user, or for the active
+// workspace (credit packs fill its pool; Pro is billed per seat)
+app.post("/create-checkout-session", requireAuth, loadWorkspaceContext, requireWorkspaceManager, async (req, res) => {
+  try {
+    const { plan, promoCode } = req.body;
+    const userId = String(req.session.userId);
     console.log("➡️ Creating checkout session:", { plan, userId });
 
-    let priceId;
-    if (plan === "pro") priceId = process.env.STRIPE_PRICE_PRO;
-    if (plan === "2reports") priceId = process.env.STRIPE_PRICE_2REPORTS;
-    if (plan === "15reports") priceId = process.env.STRIPE_PRICE_15REPORTS;
+    const product = getProduct(plan);
+    if (!product) {
+      return res.status(400).json({ error: `Unknown plan: ${plan}` });
+    }
+
+    const user = await db.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const workspace = req.workspace;
+    const account = workspace || user;
+    if (product.mode === "subscription" && account.stripe_subscription_id &&
+        ['active', 'trialing', 'past_due'].includes(account.subscription_status)) {
+      return res.status(409).json({
+        error: 'You already have a subscription. Change plans from billing settings instead.',
+        changeUrl: '/api/billing/subscription/change'
+      });
+    }
+
+    const priceId = getPriceId(product);
+    if (!priceId) {
+      console.error(`❌ No Stripe price configured for ${product.id} (${product.priceEnv})`);
+      return res.status(503).json({ error: 'This plan is not available right now' });
+    }
 
     console.log("➡️ Using priceId:", priceId);
 
+    // Every current member needs a seat; more can be bought up front
+    let quantity = 1;
+    if (workspace && product.mode === "subscription") {
+      const members = await db.getWorkspaceMembers(workspace.id);
+      quantity = Math.max(parseInt(req.body.seats) || 0, members.length);
+    }
+
+    let promoParams = { metadata: {} };
+    if (promoCode) {
+      const promoCheck = await validatePromoCode(promoCode, { userId, productId: product.id });
+      if (!promoCheck.valid) {
+        return res.status(400).json({ error: promoCheck.error });
+      }
+      promoParams = await getCheckoutPromoParams(promoCheck.promo, promoCheck.pricing, userId);
+      if (!promoParams) {
+        return res.status(400).json({ error: 'This promo code has been fully redeemed' });
+      }
+    }
+
+    const metadata = {
+      userId,
+      plan: product.id,
+      credits: String(product.credits),
+      ...(workspace && { workspaceId: String(workspace.id) }),
+      ...promoParams.metadata
+    };
     const session = await stripe.checkout.sessions.create({
       payment_method_types: ["card"],
-      mode: plan === "pro" ? "subscription" : "payment",
+      mode: product.mode,
       line_items: [
         {
           price: priceId,
-          quantity: 1,
+          quantity,
         },
       ],
       success_url: `${process.env.DOMAIN}/success.html?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${process.env.DOMAIN}/cancel.html`,
-      metadata: { userId, plan },
+      metadata,
+      ...(promoParams.discounts && { discounts: promoParams.discounts }),
+      // The promo is only reserved for this long
+      ...(promoParams.expiresAt && { expires_at: promoParams.expiresAt }),
+      // Reuse the Stripe customer so invoices and the billing portal stay in one place
+      ...(account.stripe_customer_id
+        ? { customer: account.stripe_customer_id }
+        : { customer_email: user.email, ...(product.mode === "payment" && { customer_creation: "always" }) }),
+      // Copied onto the subscription so renewals and lifecycle events can find the user
+      ...(product.mode === "subscription" && {
+        subscription_data: {
+          metadata,
+          ...(product.trialDays > 0 && { trial_period_days: product.trialDays }),
+        },
+      }),
     });
 
+    if (promoParams.reservationId) {
+      await db.attachPromoReservation(promoParams.reservationId, session.id);
+    }
+
     console.log("✅ Checkout session created:", session.id);
     res.json({ url: session.url });
 
@@ -446,149 +635,38 @@ app.get('/pricing', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'pricing.html'));
 });
 
-// Stripe Webhook
+// Stripe Webhook. Events for affiliates' Connect accounts (account.updated)
+// come from a separate Connect endpoint in Stripe with its own signing secret.
+const webhookSecrets = [process.env.STRIPE_WEBHOOK_SECRET, process.env.STRIPE_CONNECT_WEBHOOK_SECRET].filter(Boolean);
+
 app.post('/stripe-webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
 
   let event;
-  try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-  } catch (err) {
-    console.error('❌ Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+  let verifyError;
+  for (const secret of webhookSecrets) {
+    try {
+      event = stripe.webhooks.constructEvent(req.body, sig, secret);
+      break;
+    } catch (err) {
+      verifyError = err;
+    }
+  }
+  if (!event) {
+    const message = verifyError ? verifyError.message : 'No webhook signing secret configured';
+    console.error('❌ Webhook signature verification failed:', message);
+    return res.status(400).send(`Webhook Error: ${message}`);
   }
 
   try {
-    switch (event.type) {
-      case 'checkout.session.completed': {
-        const session = event.data.object;
-        const userId = session.metadata?.userId;
-        const plan = session.metadata?.plan;
-        const credits = session.metadata?.credits ? parseInt(session.metadata.credits) : 0;
-
-        if (userId) {
-          if (plan === 'pro') {
-            const expiry = new Date();
-            expiry.setMonth(expiry.getMonth() + 1);
-            await db.updateUserPlan(userId, 'pro', expiry.toISOString());
-            console.log(`✅ Upgraded user ${userId} to PRO until ${expiry}`);
-          } else if (credits > 0) {
-            await db.addReportCredits(userId, credits);
-            console.log(`✅ Added ${credits} report credits to user ${userId}`);
-          }
-        }
-
-        // process affiliate commission if needed
-        await processAffiliateCommission(session);
-        break;
-      }
-
-      case 'invoice.payment_succeeded': {
-        const invoice = event.data.object;
-        const userId = invoice.metadata?.userId;
-        if (userId) {
-          const expiry = new Date();
-          expiry.setMonth(expiry.getMonth() + 1);
-          await db.updateUserPlan(userId, 'pro', expiry.toISOString());
-          console.log(`🔄 Renewed PRO for user ${userId} until ${expiry}`);
-        }
-        await processSubscriptionCommission(invoice);
-        break;
-      }
-
-      default:
-        console.log(`Unhandled event type ${event.type}`);
-    }
-
-    res.json({ received: true });
+    const { status } = await processStripeEvent(event);
+    res.json({ received: true, duplicate: status === 'duplicate' });
   } catch (err) {
     console.error('❌ Error handling webhook:', err);
     res.status(500).send('Internal Server Error');
   }
 });
 
-// Process affiliate commission for one-time purchases
-async function processAffiliateCommission(session) {
-  try {
-    // Extract user ID from session metadata or customer
-    const userId = session.metadata?.userId || session.customer;
-    
-    if (!userId) {
-      console.log('No user ID found in session');
-      return;
-    }
-
-    const user = await db.getUserById(userId);
-    if (!user || !user.referrer_id) {
-      console.log('No referral found for user:', userId);
-      return;
-    }
-
-    // Calculate commission (40% of purchase amount)
-    const purchaseAmount = session.amount_total / 100; // Convert from pence
-    const commissionAmount = purchaseAmount * 0.4;
-    
-    // Create commission record
-    await db.createCommission(
-      user.referrer_id,
-      userId,
-      purchaseAmount,
-      commissionAmount,
-      session.payment_intent
-    );
-
-    console.log(`✅ Commission recorded: £${commissionAmount} for user ${userId}`);
-  } catch (error) {
-    console.error('❌ Failed to process affiliate commission:', error);
-  }
-}
-
-// Process subscription commission (first 3 months only)
-async function processSubscriptionCommission(invoice) {
-  try {
-    const userId = invoice.metadata?.userId || invoice.customer;
-    
-    if (!userId) {
-      console.log('No user ID found in invoice');
-      return;
-    }
-
-    const user = await db.getUserById(userId);
-    if (!user || !user.referrer_id) {
-      console.log('No referral found for user:', userId);
-      return;
-    }
-
-    // Check if this is within first 3 months of subscription
-    const subscriptionStart = new Date(user.created_at);
-    const invoiceDate = new Date(invoice.created * 1000);
-    const monthsDiff = (invoiceDate.getFullYear() - subscriptionStart.getFullYear()) * 12 + 
-                      (invoiceDate.getMonth() - subscriptionStart.getMonth());
-    
-    if (monthsDiff >= 3) {
-      console.log('Subscription commission period expired for user:', userId);
-      return;
-    }
-
-    // Calculate commission (40% of subscription amount)
-    const purchaseAmount = invoice.amount_paid / 100; // Convert from pence
-    const commissionAmount = purchaseAmount * 0.4;
-    
-    // Create commission record
-    await db.createCommission(
-      user.referrer_id,
-      userId,
-      purchaseAmount,
-      commissionAmount,
-      invoice.payment_intent
-    );
-
-    console.log(`✅ Subscription commission recorded: £${commissionAmount} for user ${userId}`);
-  } catch (error) {
-    console.error('❌ Failed to process subscription commission:', error);
-  }
-}
-
 // ✅ Load the working upload route
 const uploadRoute = require('./routes/upload');
 app.use('/upload', uploadRoute);
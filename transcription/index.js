@@ -0,0 +1,62 @@
+// transcription/index.js
+// Transcription provider layer. Every provider resolves to the same shape:
+//   { provider, text, language, duration,
+//     segments: [{ start, end, text }], words: [{ word, start, end }] }
+// with times in seconds. words is empty when the provider has no word-level
+// timestamps. The provider is picked by TRANSCRIPTION_PROVIDER.
+const openaiWhisper = require('./providers/openaiWhisper');
+const localWhisper = require('./providers/localWhisper');
+const fixture = require('./providers/fixture');
+
+const providers = {
+  [openaiWhisper.name]: openaiWhisper,
+  [localWhisper.name]: localWhisper,
+  [fixture.name]: fixture
+};
+
+function getTranscriptionProvider(name = process.env.TRANSCRIPTION_PROVIDER || openaiWhisper.name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown transcription provider "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return provider;
+}
+
+// Normalise whatever a provider returned into the common shape
+function normalizeTranscription(providerName, raw) {
+  const segments = (raw.segments || []).map(segment => ({
+    start: Number(segment.start) || 0,
+    end: Number(segment.end) || 0,
+    text: (segment.text || '').trim()
+  }));
+
+  const words = (raw.words || []).map(word => ({
+    word: (word.word || '').trim(),
+    start: Number(word.start) || 0,
+    end: Number(word.end) || 0
+  }));
+
+  const text = (raw.text || segments.map(segment => segment.text).join(' ')).trim();
+  const lastSegment = segments[segments.length - 1];
+
+  return {
+    provider: providerName,
+    text,
+    language: raw.language || null,
+    duration: raw.duration ?? (lastSegment ? lastSegment.end : null),
+    segments,
+    words
+  };
+}
+
+async function transcribe(audioPath, options = {}) {
+  const provider = getTranscriptionProvider(options.provider);
+  const raw = await provider.transcribe(audioPath, options);
+  return normalizeTranscription(provider.name, raw);
+}
+
+module.exports = {
+  transcribe,
+  getTranscriptionProvider,
+  normalizeTranscription
+};
@@ -0,0 +1,44 @@
+// transcription/providers/fixture.js
+// Deterministic stand-in for tests and offline CI. Returns the transcript in
+// TRANSCRIPTION_FIXTURE (a JSON file in the common shape) if set, otherwise a
+// fixed built-in transcript. The audio file is never read.
+const fs = require('fs');
+
+const DEFAULT_FIXTURE = {
+  language: 'english',
+  duration: 9.5,
+  segments: [
+    { start: 0, end: 2.4, text: 'Stop scrolling if you want more views.' },
+    { start: 2.4, end: 6.1, text: 'Here are three edits that doubled my watch time.' },
+    { start: 6.1, end: 9.5, text: 'Follow for part two.' }
+  ]
+};
+
+// Spread each segment's words evenly across it for word-level timestamps
+function wordsFromSegments(segments) {
+  return segments.flatMap(segment => {
+    const words = segment.text.split(/\s+/).filter(Boolean);
+    const step = (segment.end - segment.start) / words.length;
+    return words.map((word, i) => ({
+      word,
+      start: Math.round((segment.start + i * step) * 100) / 100,
+      end: Math.round((segment.start + (i + 1) * step) * 100) / 100
+    }));
+  });
+}
+
+async function transcribe() {
+  const fixture = process.env.TRANSCRIPTION_FIXTURE
+    ? JSON.parse(fs.readFileSync(process.env.TRANSCRIPTION_FIXTURE, 'utf8'))
+    : DEFAULT_FIXTURE;
+
+  return {
+    ...fixture,
+    words: fixture.words || wordsFromSegments(fixture.segments || [])
+  };
+}
+
+module.exports = {
+  name: 'fixture',
+  transcribe
+};
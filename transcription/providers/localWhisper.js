@@ -0,0 +1,50 @@
+// transcription/providers/localWhisper.js
+// Offline transcription through a local whisper.cpp-style binary.
+//   LOCAL_WHISPER_BIN    path to the CLI (default: whisper-cli)
+//   LOCAL_WHISPER_MODEL  path to the ggml model file (required)
+//   LOCAL_WHISPER_ARGS   extra CLI arguments, space separated
+// The binary is run with `-oj -of <base>` and must write <base>.json in
+// whisper.cpp's format ({ transcription: [{ offsets: { from, to }, text }] }).
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+async function transcribe(audioPath) {
+  const bin = process.env.LOCAL_WHISPER_BIN || 'whisper-cli';
+  const model = process.env.LOCAL_WHISPER_MODEL;
+  if (!model) {
+    throw new Error('LOCAL_WHISPER_MODEL must be set to use the local transcription provider');
+  }
+
+  const outputBase = `${audioPath}.whisper`;
+  const extraArgs = (process.env.LOCAL_WHISPER_ARGS || '').split(' ').filter(Boolean);
+
+  await execFileAsync(bin, ['-m', model, '-f', audioPath, '-oj', '-of', outputBase, ...extraArgs], {
+    maxBuffer: 10 * 1024 * 1024
+  });
+
+  const outputPath = `${outputBase}.json`;
+  try {
+    const output = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+
+    return {
+      language: output.result?.language,
+      segments: (output.transcription || []).map(segment => ({
+        start: segment.offsets.from / 1000,
+        end: segment.offsets.to / 1000,
+        text: segment.text
+      }))
+    };
+  } finally {
+    if (fs.existsSync(outputPath)) {
+      fs.unlinkSync(outputPath);
+    }
+  }
+}
+
+module.exports = {
+  name: 'local',
+  transcribe
+};
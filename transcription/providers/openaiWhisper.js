@@ -0,0 +1,36 @@
+// transcription/providers/openaiWhisper.js
+// Hosted Whisper via the OpenAI audio API.
+const fs = require('fs');
+const { OpenAI } = require('openai');
+
+let client;
+
+// Created on first use so other providers work without an OpenAI key
+function getClient() {
+  if (!client) {
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+}
+
+async function transcribe(audioPath) {
+  const transcription = await getClient().audio.transcriptions.create({
+    file: fs.createReadStream(audioPath),
+    model: process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1',
+    response_format: 'verbose_json',
+    timestamp_granularities: ['segment', 'word'],
+  });
+
+  return {
+    text: transcription.text,
+    language: transcription.language,
+    duration: transcription.duration,
+    segments: transcription.segments,
+    words: transcription.words
+  };
+}
+
+module.exports = {
+  name: 'openai',
+  transcribe
+};